@@ -5,4 +5,5 @@ app_name = 'portfolio_app'
 
 urlpatterns = [
     path('', views.index, name='index'),
+    path('benchmark/spatial-index/', views.spatial_index_benchmark, name='spatial_index_benchmark'),
 ]
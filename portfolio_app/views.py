@@ -5,3 +5,9 @@ def index(request):
     View for rendering the main portfolio page with Three.js visualization
     """
     return render(request, 'portfolio_app/index.html')
+
+def spatial_index_benchmark(request):
+    """
+    Page comparing QuadTree and LatticeIndex query times on the scene's cube grid
+    """
+    return render(request, 'portfolio_app/spatial_index_benchmark.html')
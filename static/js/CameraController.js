@@ -8,10 +8,43 @@ function CameraController(camera, target) {
     this.camera = camera;
     this.target = target; // The object to follow (e.g., cone)
     this.offset = new THREE.Vector3(0, 25, 45); // Default camera offset
-    this.lookAhead = 0.01; // How far ahead to look
+    this.lookAhead = 0.01; // How far ahead along the path to look (0-1 of its length) in the chase and look-at modes
     this.smoothing = 0.05; // Camera movement smoothing factor
     this.currentPosition = new THREE.Vector3();
     this.currentLookAt = new THREE.Vector3();
+    this.speedProfile = null; // SpeedProfile from scroll progress to path distance (null = constant speed)
+    this.sectionAnchors = null; // [{progress, distance}] scroll progress pinned to path distance (see setSectionAnchors)
+    this.anchorProfile = null; // Scroll progress -> speed profile progress that honours sectionAnchors
+    this.pathDistance = 0; // Distance along the path (0-1 of its length) of the last update
+    
+    // Orientation (see CameraController.ORIENTATION_MODES)
+    this.orientationMode = 'fixed';
+    this.bankingStrength = 1.5; // Roll per radian the path turns over the look-ahead distance
+    this.maxBank = 0.35; // Largest roll in radians (about 20 degrees)
+    this.currentRoll = 0;
+    this.lookTarget = null; // Vector3 or Object3D the look-at mode points at
+    this.lookTargetRange = 60; // Distance from the target at which the look-at mode starts turning towards it
+    
+    // Keyframed framing along the path (see setKeyframes), off until setKeyframesEnabled(true).
+    // While on it takes over lookAhead and the camera's fov; manual offset changes made since it
+    // was switched on (arrow keys, sliders, presets) are added on top of the keyframed offset.
+    this.keyframes = null;
+    this.keyframesEnabled = false;
+    this._keyframeOffsetBase = this.offset.clone(); // offset when the track was switched on
+    this.baseFov = camera.fov;
+    this.currentOffset = this.offset.clone(); // Offset in use this frame
+    this.currentLookAhead = this.lookAhead; // Look-ahead in use this frame
+    this._keyframeSample = { offset: new THREE.Vector3(), fov: null, lookAhead: null };
+    
+    // Scratch for the desired pose (see _computePose)
+    this._desiredPosition = new THREE.Vector3();
+    this._desiredLookAt = new THREE.Vector3();
+    this._desiredRoll = 0;
+    this._forward = new THREE.Vector3();
+    this._right = new THREE.Vector3();
+    this._up = new THREE.Vector3(0, 1, 0);
+    this._tangent = new THREE.Vector3();
+    this._targetPosition = new THREE.Vector3();
     
     // Mouse movement parameters
     this.mouseRotation = {
@@ -71,15 +104,18 @@ CameraController.prototype._initMouseTracking = function() {
 };
 
 // Update camera position based on target and spline
-// Camera is always behind and above the character, always looks forward (+Z), never flips
+// The camera's pose comes from the orientation mode (see _computePose); it's then eased towards
+// that pose, gentler vertically than horizontally
 CameraController.prototype.update = function(splineLoader, progress) {
     if (!splineLoader || !splineLoader.cameraPath) return;
     try {
         // Ensure progress is within valid range
         const safeProgress = Math.max(0, Math.min(progress, 1));
         
-        // Get current position on the path
-        const pathPosition = splineLoader.getPointOnPath(safeProgress);
+        // Get current position on the path - the speed profile decides how far along it the
+        // scroll has got, the path adapter measures that by arc length
+        this.pathDistance = this.getPathDistance(safeProgress);
+        const pathPosition = splineLoader.getPointOnPath(this.pathDistance);
         if (!pathPosition) {
             console.warn('Failed to get path position at progress:', safeProgress);
             return;
@@ -93,8 +129,10 @@ CameraController.prototype.update = function(splineLoader, progress) {
         }
         */
 
-        // Use the configured camera offset from this.offset
-        const desiredPosition = pathPosition.clone().add(this.offset);
+        // Where the camera wants to be, what it wants to look at and how far it wants to roll
+        this._applyKeyframes(this.pathDistance);
+        this._computePose(splineLoader.cameraPath, this.pathDistance, pathPosition);
+        const desiredPosition = this._desiredPosition;
         
         // Use adaptive smoothing based on distance and vertical movement
         const distance = this.currentPosition.distanceTo(desiredPosition);
@@ -128,10 +166,9 @@ CameraController.prototype.update = function(splineLoader, progress) {
         
         this.camera.position.copy(this.currentPosition);
 
-        // Always look at a point ahead of the character's position
-        // Use the lookAhead property to control how far ahead to look
-        const lookAtTarget = pathPosition.clone().add(new THREE.Vector3(0, 1, -this.offset.z * 0.1)); // Look ahead proportional to offset
-        this.currentLookAt.lerp(lookAtTarget, horizontalSmoothing);
+        // Ease towards the look target and roll at the same rate as the position
+        this.currentLookAt.lerp(this._desiredLookAt, horizontalSmoothing);
+        this.currentRoll += (this._desiredRoll - this.currentRoll) * horizontalSmoothing;
         
         // Apply mouse-based rotation to camera
         if (this.mouseRotation.enabled) {
@@ -161,9 +198,7 @@ CameraController.prototype.update = function(splineLoader, progress) {
             this.currentLookAt.copy(rotatedLookTarget);
         }
         
-        this.camera.up.set(0, 1, 0); // Ensure Y is always up
-        this.camera.lookAt(this.currentLookAt);
-        this.camera.rotation.z = 0; // Prevent camera roll
+        this._applyOrientation();
 
         // Update target (player) position
         if (this.target) {
@@ -174,6 +209,119 @@ CameraController.prototype.update = function(splineLoader, progress) {
     }
 };
 
+// Work out the desired camera pose at a distance along the path (0-1 of its length) for the
+// current orientation mode, into _desiredPosition, _desiredLookAt and _desiredRoll:
+//   fixed  - world-space offset from the path, looking a little ahead along -Z, never rolls
+//   chase  - offset in the path's frame (x right, y up, z behind), looking lookAhead further along
+//            the path and banking into the turns
+//   lookAt - as chase, but turning to face lookTarget as the camera passes within lookTargetRange of it
+CameraController.prototype._computePose = function(path, distance, pathPosition) {
+    if (this.orientationMode === 'fixed' || !path) {
+        this._desiredPosition.copy(pathPosition).add(this.currentOffset);
+        this._desiredLookAt.copy(pathPosition).add(this._tangent.set(0, 1, -this.currentOffset.z * 0.1)); // Look ahead proportional to offset
+        this._desiredRoll = 0;
+        return;
+    }
+    
+    // Horizontal frame of the path - forward along the tangent, right across it, Y stays up
+    const forward = this._horizontalTangent(path, distance, this._forward);
+    const right = this._right.crossVectors(forward, this._up);
+    this._desiredPosition.copy(pathPosition)
+        .addScaledVector(right, this.currentOffset.x)
+        .addScaledVector(this._up, this.currentOffset.y)
+        .addScaledVector(forward, -this.currentOffset.z);
+    
+    // Look at the path lookAhead further on, carrying on along the end tangent past the end of the path
+    const lookAhead = Math.max(0, this.currentLookAhead);
+    const ahead = Math.min(1, distance + lookAhead);
+    path.getPointAt(ahead, this._desiredLookAt);
+    const overshoot = distance + lookAhead - ahead;
+    if (overshoot > 0) {
+        this._desiredLookAt.addScaledVector(path.getTangentAt(1, this._tangent), overshoot * path.getLength());
+    }
+    if (lookAhead === 0) {
+        this._desiredLookAt.add(forward);
+    }
+    this._desiredLookAt.y += 1;
+    
+    // Bank by how far the path turns between here and the look-ahead point (left turns roll left)
+    const turnEnd = this._horizontalTangent(path, Math.min(1, distance + Math.max(lookAhead, 0.005)), this._tangent);
+    const turn = Math.atan2(forward.z * turnEnd.x - forward.x * turnEnd.z, forward.dot(turnEnd));
+    this._desiredRoll = Math.max(-this.maxBank, Math.min(this.maxBank, turn * this.bankingStrength));
+    
+    // Turn towards the look target while it's close, straightening the roll out meanwhile
+    if (this.orientationMode === 'lookAt' && this.lookTarget) {
+        const target = this.lookTarget.isObject3D ?
+            this.lookTarget.getWorldPosition(this._targetPosition) :
+            this._targetPosition.copy(this.lookTarget);
+        const range = Math.max(1e-3, this.lookTargetRange);
+        const f = Math.max(0, Math.min(1, (range - pathPosition.distanceTo(target)) / (range * 0.5)));
+        const weight = f * f * (3 - 2 * f);
+        this._desiredLookAt.lerp(target, weight);
+        this._desiredRoll *= 1 - weight;
+    }
+};
+
+// Pick this frame's offset, look-ahead and field of view: from the keyframe track at a
+// distance along the path (0-1 of its length) when there is one, the manual values otherwise
+CameraController.prototype._applyKeyframes = function(distance) {
+    const sample = this.keyframes && this.keyframesEnabled ? this.keyframes.sample(distance, this._keyframeSample) : null;
+    
+    if (sample && this.keyframes.hasOffset) {
+        this.currentOffset.copy(sample.offset).add(this.offset).sub(this._keyframeOffsetBase);
+    } else {
+        this.currentOffset.copy(this.offset);
+    }
+    this.currentLookAhead = sample && sample.lookAhead !== null ? sample.lookAhead : this.lookAhead;
+    
+    const fov = sample && sample.fov !== null ? sample.fov : this.baseFov;
+    if (Math.abs(this.camera.fov - fov) > 1e-3) {
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
+    }
+};
+
+// Unit tangent of the path at a distance along it, flattened onto the XZ plane (-Z if the path goes straight up or down)
+CameraController.prototype._horizontalTangent = function(path, distance, out) {
+    path.getTangentAt(Math.max(0, Math.min(1, distance)), out);
+    out.y = 0;
+    if (out.lengthSq() < 1e-8) return out.set(0, 0, -1);
+    return out.normalize();
+};
+
+// Point the camera at currentLookAt - upright in the fixed mode, rolled by currentRoll otherwise
+CameraController.prototype._applyOrientation = function() {
+    this.camera.up.set(0, 1, 0); // Ensure Y is always up
+    this.camera.lookAt(this.currentLookAt);
+    if (this.orientationMode === 'fixed') {
+        this.camera.rotation.z = 0; // Prevent camera roll
+    } else if (this.currentRoll !== 0) {
+        this.camera.rotateZ(this.currentRoll);
+    }
+};
+
+// Switch orientation mode ('fixed', 'chase' or 'lookAt'); the camera eases over to the new view
+CameraController.prototype.setOrientationMode = function(mode) {
+    if (CameraController.ORIENTATION_MODES.indexOf(mode) === -1) {
+        console.warn(`Unknown camera orientation mode '${mode}', expected one of: ${CameraController.ORIENTATION_MODES.join(', ')}`);
+        return this;
+    }
+    if (mode === 'lookAt' && !this.lookTarget) {
+        console.warn('Camera look-at mode has no look target yet, following the path until one is set');
+    }
+    this.orientationMode = mode;
+    console.log('Camera orientation mode set to:', mode);
+    return this; // Allow method chaining
+};
+
+// Set what the look-at mode points at: a Vector3, an Object3D (followed if it moves) or null
+CameraController.prototype.setLookTarget = function(target, range) {
+    this.lookTarget = target || null;
+    if (range !== undefined) this.lookTargetRange = range;
+    console.log('Camera look target set to:', this.lookTarget ? (this.lookTarget.name || this.lookTarget) : 'none');
+    return this; // Allow method chaining
+};
+
 // Set camera offset (distance from target)
 CameraController.prototype.setOffset = function(x, y, z) {
     this.offset.set(x, y, z);
@@ -191,26 +339,98 @@ CameraController.prototype.adjustOffset = function(x, y, z) {
 };
 
 // Reset camera position immediately (no lerping)
-CameraController.prototype.resetPosition = function(pathPosition) {
+// path/distance: the camera path and distance along it (0-1) of pathPosition, needed by the
+// chase and look-at modes to orient the camera - without them the fixed-mode pose is used
+CameraController.prototype.resetPosition = function(pathPosition, path, distance) {
     if (!pathPosition) return this;
     
-    // Immediately set camera position without lerping
-    const newPosition = pathPosition.clone().add(this.offset);
+    const mode = this.orientationMode;
+    if (!path) this.orientationMode = 'fixed';
+    this._applyKeyframes(distance !== undefined ? distance : this.pathDistance);
+    this._computePose(path, distance !== undefined ? distance : this.pathDistance, pathPosition);
+    
+    // Immediately set camera position, look target and roll without lerping
+    const newPosition = this._desiredPosition;
     this.currentPosition.copy(newPosition);
     this.camera.position.copy(newPosition);
-    
-    // Also reset look target
-    const lookAtTarget = pathPosition.clone().add(new THREE.Vector3(0, 1, -this.offset.z * 0.1));
-    this.currentLookAt.copy(lookAtTarget);
-    this.camera.lookAt(this.currentLookAt);
+    this.currentLookAt.copy(this._desiredLookAt);
+    this.currentRoll = this._desiredRoll;
+    this._applyOrientation();
+    this.orientationMode = mode;
     
     console.log('Camera position reset to:', newPosition);
     return this; // Allow method chaining
 };
 
-// Set how far ahead the camera should look
+// Set the speed profile: a SpeedProfile, its [{progress, distance}] keys, or null for constant speed
+CameraController.prototype.setSpeedProfile = function(profile) {
+    if (profile && !(profile instanceof SpeedProfile)) {
+        profile = new SpeedProfile(profile);
+    }
+    this.speedProfile = profile || null;
+    console.log(`Camera speed profile ${this.speedProfile ? 'set with ' + this.speedProfile.keyProgress.length + ' keys' : 'cleared'}` +
+        (this.sectionAnchors ? `, ${this.sectionAnchors.length} section anchors refitted to it` : ''));
+    this._buildAnchorProfile();
+    return this; // Allow method chaining
+};
+
+// Pin scroll progress to distances along the path: [{progress, distance}] (e.g. page sections
+// centred on screen -> their places on the path), or null to unpin. The speed profile (e.g. the
+// path JSON's speeds) still shapes the stretches between anchors - see _buildAnchorProfile.
+// Either can be set first; each refits the anchors to the other.
+CameraController.prototype.setSectionAnchors = function(anchors) {
+    this.sectionAnchors = anchors && anchors.length ? anchors.slice() : null;
+    this._buildAnchorProfile();
+    console.log(`Camera section anchors ${this.sectionAnchors ? 'set with ' + this.sectionAnchors.length + ' anchors' +
+        (this.speedProfile ? ', combined with the speed profile' : '') : 'cleared'}`);
+    return this; // Allow method chaining
+};
+
+// Anchors are applied before the speed profile: each anchor's distance is turned back into the
+// progress at which the speed profile reaches it, and anchorProfile maps scroll onto those. The
+// camera then hits every anchor exactly and keeps the speed profile's pacing in between.
+CameraController.prototype._buildAnchorProfile = function() {
+    if (!this.sectionAnchors) {
+        this.anchorProfile = null;
+        return;
+    }
+    
+    const profile = this.speedProfile;
+    this.anchorProfile = new SpeedProfile(this.sectionAnchors.map(function(anchor) {
+        return { progress: anchor.progress, distance: profile ? profile.invert(anchor.distance) : anchor.distance };
+    }));
+};
+
+// Distance along the path (0-1 of its length) the camera travels to at scroll progress (0-1)
+CameraController.prototype.getPathDistance = function(progress) {
+    let safeProgress = Math.max(0, Math.min(progress || 0, 1));
+    if (this.anchorProfile) safeProgress = this.anchorProfile.map(safeProgress);
+    return this.speedProfile ? this.speedProfile.map(safeProgress) : safeProgress;
+};
+
+// Set the keyframe track: a CameraKeyframeTrack, its [{t, offset, fov, lookAhead, easing}] keyframes, or null to clear it
+CameraController.prototype.setKeyframes = function(track) {
+    if (track && !(track instanceof CameraKeyframeTrack)) {
+        track = new CameraKeyframeTrack(track);
+    }
+    this.keyframes = track || null;
+    this._keyframeOffsetBase.copy(this.offset);
+    console.log(`Camera keyframes ${this.keyframes ? 'set with ' + this.keyframes.keyframes.length + ' keyframes' : 'cleared'}` +
+        (this.keyframes && !this.keyframesEnabled ? ' (switched off)' : ''));
+    return this; // Allow method chaining
+};
+
+// Switch the keyframe track on or off without dropping it; off goes back to the manual offset, look-ahead and fov
+CameraController.prototype.setKeyframesEnabled = function(enabled) {
+    this.keyframesEnabled = !!enabled;
+    this._keyframeOffsetBase.copy(this.offset); // Manual offset changes count from here
+    console.log(`Camera keyframes ${this.keyframesEnabled ? 'enabled' : 'disabled'}`);
+    return this; // Allow method chaining
+};
+
+// Set how far ahead along the path (0-1 of its length) the camera should look
 CameraController.prototype.setLookAhead = function(value) {
-    this.lookAhead = value;
+    this.lookAhead = Math.max(0, Math.min(1, value));
 };
 
 // Set smoothing factor for camera movement
@@ -218,5 +438,8 @@ CameraController.prototype.setSmoothing = function(value) {
     this.smoothing = Math.max(0, Math.min(1, value));
 };
 
+// Orientation modes (see _computePose)
+CameraController.ORIENTATION_MODES = ['fixed', 'chase', 'lookAt'];
+
 // Export the CameraController class
 window.CameraController = CameraController;
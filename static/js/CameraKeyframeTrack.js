@@ -0,0 +1,154 @@
+/**
+ * CameraKeyframeTrack.js
+ * Camera offset, field of view and look-ahead keyed along the camera path, so a shot can
+ * change framing as the page scrolls - e.g. from a close-up to an aerial view
+ */
+
+// CameraKeyframeTrack - keyframes [{t, offset, fov, lookAhead, easing}] along the path:
+//   t          distance along the path, 0-1 of its length
+//   offset     camera offset, {x, y, z} or [x, y, z] (see CameraController.offset)
+//   fov        vertical field of view in degrees
+//   lookAhead  how far ahead along the path to look, 0-1 of its length
+//   easing     how the values move from this keyframe to the next (see CameraKeyframeTrack.EASINGS)
+// Every field but t is optional: a keyframe without one holds the value of the keyframe before it
+// (or the first keyframe that has one), and a field no keyframe sets is left to the controller.
+function CameraKeyframeTrack(keyframes) {
+    const self = this;
+    this.keyframes = (keyframes || []).filter(function(keyframe, k) {
+        if (!keyframe || !Number.isFinite(keyframe.t)) {
+            console.warn(`Skipping camera keyframe ${k}: it needs a numeric t`);
+            return false;
+        }
+        return true;
+    }).map(function(keyframe) {
+        let easing = keyframe.easing || 'easeInOut';
+        if (!CameraKeyframeTrack.EASINGS[easing]) {
+            console.warn(`Unknown camera keyframe easing '${easing}', using 'easeInOut'`);
+            easing = 'easeInOut';
+        }
+        return {
+            t: Math.max(0, Math.min(1, keyframe.t)),
+            offset: self._readOffset(keyframe.offset),
+            fov: Number.isFinite(keyframe.fov) ? keyframe.fov : null,
+            lookAhead: Number.isFinite(keyframe.lookAhead) ? Math.max(0, keyframe.lookAhead) : null,
+            easing: easing
+        };
+    }).sort(function(a, b) {
+        return a.t - b.t;
+    });
+
+    // Fill the gaps: hold each value forward, then take the first one back to the start
+    this.hasOffset = false;
+    this.hasFov = false;
+    this.hasLookAhead = false;
+    ['offset', 'fov', 'lookAhead'].forEach(function(field) {
+        let last = null;
+        self.keyframes.forEach(function(keyframe) {
+            if (keyframe[field] === null) keyframe[field] = last;
+            last = keyframe[field];
+        });
+        const first = self.keyframes.find(function(keyframe) { return keyframe[field] !== null; });
+        if (!first) return;
+        self.keyframes.forEach(function(keyframe) {
+            if (keyframe[field] === null) keyframe[field] = first[field];
+        });
+        self['has' + field.charAt(0).toUpperCase() + field.slice(1)] = true;
+    });
+}
+
+// {x, y, z} or [x, y, z] as a Vector3, null if it isn't one
+CameraKeyframeTrack.prototype._readOffset = function(offset) {
+    if (!offset) return null;
+    const x = Array.isArray(offset) ? offset[0] : offset.x;
+    const y = Array.isArray(offset) ? offset[1] : offset.y;
+    const z = Array.isArray(offset) ? offset[2] : offset.z;
+    if (![x, y, z].every(Number.isFinite)) {
+        console.warn('Ignoring camera keyframe offset that is not three numbers:', offset);
+        return null;
+    }
+    return new THREE.Vector3(x, y, z);
+};
+
+// Values at a distance along the path (0-1 of its length), written into out:
+// {offset (Vector3), fov, lookAhead}, each null when no keyframe sets it
+CameraKeyframeTrack.prototype.sample = function(t, out) {
+    out = out || { offset: new THREE.Vector3(), fov: null, lookAhead: null };
+    const keyframes = this.keyframes;
+    if (keyframes.length === 0) {
+        out.fov = null;
+        out.lookAhead = null;
+        return out;
+    }
+
+    // Keyframes either side of t, and the eased fraction of the way between them
+    const d = Math.max(0, Math.min(1, t || 0));
+    let k = 0;
+    while (k < keyframes.length - 1 && d >= keyframes[k + 1].t) k++;
+    const a = keyframes[k];
+    const b = keyframes[Math.min(k + 1, keyframes.length - 1)];
+    const span = b.t - a.t;
+    const f = span > 0 && d > a.t ? CameraKeyframeTrack.EASINGS[a.easing](Math.min(1, (d - a.t) / span)) : 0;
+
+    if (this.hasOffset) {
+        out.offset.copy(a.offset).lerp(b.offset, f);
+    }
+    out.fov = this.hasFov ? a.fov + (b.fov - a.fov) * f : null;
+    out.lookAhead = this.hasLookAhead ? a.lookAhead + (b.lookAhead - a.lookAhead) * f : null;
+    return out;
+};
+
+// Keyframes back in the JSON format the track reads
+CameraKeyframeTrack.prototype.toJSON = function() {
+    const self = this;
+    return this.keyframes.map(function(keyframe) {
+        const json = { t: keyframe.t };
+        if (self.hasOffset) json.offset = { x: keyframe.offset.x, y: keyframe.offset.y, z: keyframe.offset.z };
+        if (self.hasFov) json.fov = keyframe.fov;
+        if (self.hasLookAhead) json.lookAhead = keyframe.lookAhead;
+        json.easing = keyframe.easing;
+        return json;
+    });
+};
+
+// Build a track from parsed JSON: a list of keyframes, or an object with a "keyframes" list
+CameraKeyframeTrack.fromJSON = function(data) {
+    const keyframes = Array.isArray(data) ? data : (data && data.keyframes);
+    if (!Array.isArray(keyframes)) {
+        throw new Error('Camera keyframes JSON needs a list of keyframes, or an object with a "keyframes" list');
+    }
+    return new CameraKeyframeTrack(keyframes);
+};
+
+// Load a track from a JSON file; callback(track) once parsed, callback(null, error) on failure
+CameraKeyframeTrack.load = function(url, callback) {
+    console.log('Loading camera keyframes from:', url);
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('json');
+    loader.load(url, function(data) {
+        let track;
+        try {
+            track = CameraKeyframeTrack.fromJSON(data);
+        } catch (error) {
+            console.error(`Invalid camera keyframes in ${url}:`, error.message);
+            if (callback) callback(null, error);
+            return;
+        }
+        console.log(`Camera keyframes loaded: ${track.keyframes.length} keyframes`);
+        if (callback) callback(track);
+    }, undefined, function(error) {
+        console.error('Error loading camera keyframes:', error);
+        if (callback) callback(null, error);
+    });
+};
+
+// Easing curves from one keyframe to the next, f(0) = 0 and f(1) = 1
+CameraKeyframeTrack.EASINGS = {
+    linear: function(t) { return t; },
+    easeIn: function(t) { return t * t * t; },
+    easeOut: function(t) { return 1 - Math.pow(1 - t, 3); },
+    easeInOut: function(t) { return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; },
+    step: function(t) { return t < 1 ? 0 : 1; }
+};
+
+// Export the CameraKeyframeTrack class
+window.CameraKeyframeTrack = CameraKeyframeTrack;
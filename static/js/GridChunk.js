@@ -0,0 +1,365 @@
+/**
+ * GridChunk.js
+ * A rectangular block of the cube grid drawn as its own InstancedMeshes - one per level of detail
+ */
+
+class GridChunk {
+    // layout:   {index, ix0, iz0, sizeX, sizeZ, offset, levels} - the chunk covers grid cells
+    //           ix0..ix0+sizeX-1 x iz0..iz0+sizeZ-1 (moved when streaming), whose cube ids start at offset
+    // matrices: view of GridManager's instance matrix array for this chunk's cubes
+    // colors:   view of GridManager's instance colour array for this chunk's cubes
+    constructor(layout, geometry, material, matrices, colors) {
+        this.index = layout.index;
+        this.ix0 = layout.ix0;
+        this.iz0 = layout.iz0;
+        this.sizeX = layout.sizeX;
+        this.sizeZ = layout.sizeZ;
+        this.offset = layout.offset;          // Cube id of cell (ix0, iz0)
+        this.count = this.sizeX * this.sizeZ;
+        this.levels = layout.levels;          // Coarsest level (0 = full detail only)
+
+        this.level = 0;            // Level currently drawn
+        this.dirty = true;         // Cube state changed since the drawn level was last written
+        this.colorsStale = new Uint8Array(this.levels + 1).fill(1); // Merged levels needing new average colours
+        this.colorsChanged = false; // Cube colours were written since the last upload (GridManager colour modes)
+        this.fineMorphed = false;  // Level 0 matrices hold morphed poses instead of the cubes' own
+        this.morphing = false;     // Some blocks of the drawn level are part-way into their parent
+        this.generation = 0;       // GridManager's stream generation when the chunk last moved
+        this.minX = 0;             // XZ extent of the cube centres, set by GridManager
+        this.maxX = 0;
+        this.minZ = 0;
+        this.maxZ = 0;
+        this.minRestY = 0;         // Range of the drawn cubes' rest heights (cubeBaseY), set by GridManager
+        this.maxRestY = 0;
+
+        // Box around the drawn level's instances (minX, minY, minZ, maxX, maxY, maxZ) followed by
+        // the largest instance half extents (x, y, z) - see updateBounds
+        this.bounds = new Float32Array(9);
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const box = geometry.boundingBox;
+        this.halfSizeX = Math.max(-box.min.x, box.max.x);   // Cube half extents at scale 1
+        this.halfSizeY = Math.max(-box.min.y, box.max.y);
+        this.halfSizeZ = Math.max(-box.min.z, box.max.z);
+
+        // blocks[level]: [lx, lz, width, depth] per block of that level, row by row.
+        // Level L merges 2^L x 2^L cells - smaller at the chunk's far edges if the size doesn't divide.
+        // instances[level]: the block drawn by each instance - blocks with no unmasked cell are left out.
+        this.blocks = [];
+        this.instances = [];
+        this.meshes = [];
+
+        // Masked cells get the last cube ids, so the drawn cubes are the first visibleCount ids
+        // (see applyMask). cellRank[lx * sizeZ + lz] = cube id - offset.
+        this.cellRank = new Uint16Array(this.count);
+        this.visibleCount = this.count;
+        this.parentPoses = [];     // Scratch space for each level's parent block poses
+
+        for (let level = 0; level <= this.levels; level++) {
+            const size = 1 << level;
+            const blocks = [];
+            for (let lx = 0; lx < this.sizeX; lx += size) {
+                for (let lz = 0; lz < this.sizeZ; lz += size) {
+                    blocks.push(lx, lz, Math.min(size, this.sizeX - lx), Math.min(size, this.sizeZ - lz));
+                }
+            }
+            this.blocks.push(new Uint16Array(blocks));
+
+            const instanceCount = blocks.length / 4;
+            this.instances.push(new Uint16Array(instanceCount));
+            const levelMatrices = level === 0 ? matrices : new Float32Array(instanceCount * 16);
+            const levelColors = level === 0 ? colors : new Float32Array(instanceCount * 3).fill(1);
+
+            // Share the cube's vertex data, only the per-instance colours differ between meshes
+            const chunkGeometry = new THREE.BufferGeometry();
+            chunkGeometry.setIndex(geometry.index);
+            for (const name in geometry.attributes) {
+                chunkGeometry.setAttribute(name, geometry.attributes[name]);
+            }
+            chunkGeometry.setAttribute('color', new THREE.InstancedBufferAttribute(levelColors, 3));
+
+            // InstancedMesh culls with the geometry's bounds, so they have to cover every instance
+            chunkGeometry.boundingBox = new THREE.Box3();
+            chunkGeometry.boundingSphere = new THREE.Sphere();
+
+            const mesh = new THREE.InstancedMesh(chunkGeometry, material, instanceCount);
+            mesh.instanceMatrix = new THREE.InstancedBufferAttribute(levelMatrices, 16);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            mesh.frustumCulled = true;
+            mesh.visible = level === 0;
+            mesh.name = `GridChunk_${this.index}_L${level}`;
+            this.meshes.push(mesh);
+        }
+
+        this.applyMask(null);
+    }
+
+    // Cube id of chunk-local cell (lx, lz)
+    cubeIndex(lx, lz) {
+        return this.offset + this.cellRank[lx * this.sizeZ + lz];
+    }
+
+    // Whether chunk-local cell (lx, lz) is masked out
+    isCellMasked(lx, lz) {
+        return this.cellRank[lx * this.sizeZ + lz] >= this.visibleCount;
+    }
+
+    // Leave masked cells out of every level: masked[lx * sizeZ + lz] = 1 (null = nothing masked).
+    // Renumbers the chunk's cubes, so the caller has to fill the cube data afterwards.
+    applyMask(masked) {
+        let rank = 0;
+        for (let cell = 0; cell < this.count; cell++) {
+            if (!masked || !masked[cell]) this.cellRank[cell] = rank++;
+        }
+        this.visibleCount = rank;
+        for (let cell = 0; cell < this.count; cell++) {
+            if (masked && masked[cell]) this.cellRank[cell] = rank++;
+        }
+
+        for (let level = 0; level <= this.levels; level++) {
+            const blocks = this.blocks[level];
+            const instances = this.instances[level];
+            let count = 0;
+            for (let k = 0; k < blocks.length / 4; k++) {
+                if (this.countVisible(blocks, k) > 0) instances[count++] = k;
+            }
+
+            // Level 0 instances are the cubes themselves, in cube id order
+            if (level === 0) {
+                for (let cell = 0; cell < this.count; cell++) {
+                    if (this.cellRank[cell] < this.visibleCount) instances[this.cellRank[cell]] = cell;
+                }
+            }
+
+            this.meshes[level].count = count;
+        }
+
+        this.colorsStale.fill(1);
+        this.dirty = true;
+    }
+
+    // Number of unmasked cells in block k
+    countVisible(blocks, k) {
+        const b = k * 4;
+        let visible = 0;
+        for (let bx = 0; bx < blocks[b + 2]; bx++) {
+            for (let bz = 0; bz < blocks[b + 3]; bz++) {
+                if (!this.isCellMasked(blocks[b] + bx, blocks[b + 1] + bz)) visible++;
+            }
+        }
+        return visible;
+    }
+
+    // Switch which level's mesh is drawn
+    setLevel(level) {
+        if (level === this.level) return;
+        this.meshes[this.level].visible = false;
+        this.meshes[level].visible = true;
+        this.level = level;
+        this.dirty = true;
+    }
+
+    // Average pose of the unmasked cubes in a block: [x, y, z, scaleX, scaleY, scaleZ] written into
+    // out at o. A merged block is as many cubes wide as it covers, so 2x2 cubes merge into one twice their size.
+    blockPose(grid, lx, lz, width, depth, out, o) {
+        let x = 0, y = 0, z = 0, scale = 0, n = 0;
+        for (let bx = 0; bx < width; bx++) {
+            for (let bz = 0; bz < depth; bz++) {
+                if (this.isCellMasked(lx + bx, lz + bz)) continue;
+                const i = this.cubeIndex(lx + bx, lz + bz);
+                x += grid.cubeX[i];
+                y += grid.cubeY[i];
+                z += grid.cubeZ[i];
+                scale += grid.cubeScale[i];
+                n++;
+            }
+        }
+
+        // Fully masked blocks are never drawn
+        if (n === 0) n = 1;
+        scale /= n;
+        out[o] = x / n;
+        out[o + 1] = y / n;
+        out[o + 2] = z / n;
+        out[o + 3] = width * scale;
+        out[o + 4] = Math.max(width, depth) * scale;
+        out[o + 5] = depth * scale;
+    }
+
+    // Rewrite a level's instance matrices from the cube arrays. With morphing on, each instance is
+    // drawn part-way toward the block that replaces it at the next level, by grid.getLODMorph, so
+    // it matches that block exactly by the time the chunk switches level.
+    writeLevel(grid, level, morphing) {
+        const blocks = this.blocks[level];
+        const mesh = this.meshes[level];
+        const matrices = mesh.instanceMatrix.array;
+        const pose = GridChunk.scratchPose;
+
+        // Poses and morph factors of the next level's blocks, indexed like this.blocks[level + 1]
+        let parents = null;
+        let parentSize = 0;
+        let parentCountZ = 0;
+        if (morphing && level < this.levels) {
+            const parentBlocks = this.blocks[level + 1];
+            const parentCount = parentBlocks.length / 4;
+            // Any height within the chunk's rest range keeps each block between the chunk's near
+            // and far distances, so the morphs agree with the level GridManager.updateChunks picks
+            const restY = (this.minRestY + this.maxRestY) / 2;
+            parents = this.parentPoses[level];
+            if (!parents) parents = this.parentPoses[level] = new Float32Array(parentCount * 7);
+
+            for (let p = 0; p < parentCount; p++) {
+                const b = p * 4;
+                this.blockPose(grid, parentBlocks[b], parentBlocks[b + 1], parentBlocks[b + 2], parentBlocks[b + 3], parents, p * 7);
+                parents[p * 7 + 6] = grid.getLODMorph(parents[p * 7], restY, parents[p * 7 + 2], level);
+            }
+            parentSize = 2 << level;
+            parentCountZ = Math.ceil(this.sizeZ / parentSize);
+        }
+
+        const instances = this.instances[level];
+        for (let k = 0; k < mesh.count; k++) {
+            const b = instances[k] * 4;
+            const lx = blocks[b];
+            const lz = blocks[b + 1];
+            this.blockPose(grid, lx, lz, blocks[b + 2], blocks[b + 3], pose, 0);
+
+            if (parents) {
+                const p = (Math.floor(lx / parentSize) * parentCountZ + Math.floor(lz / parentSize)) * 7;
+                const t = parents[p + 6];
+                if (t > 0) {
+                    for (let c = 0; c < 6; c++) {
+                        pose[c] += (parents[p + c] - pose[c]) * t;
+                    }
+                }
+            }
+
+            // Column-major, no rotation
+            const o = k * 16;
+            matrices[o] = pose[3];  matrices[o + 1] = 0;  matrices[o + 2] = 0;  matrices[o + 3] = 0;
+            matrices[o + 4] = 0;  matrices[o + 5] = pose[4];  matrices[o + 6] = 0;  matrices[o + 7] = 0;
+            matrices[o + 8] = 0;  matrices[o + 9] = 0;  matrices[o + 10] = pose[5];  matrices[o + 11] = 0;
+            matrices[o + 12] = pose[0];  matrices[o + 13] = pose[1];  matrices[o + 14] = pose[2];  matrices[o + 15] = 1;
+        }
+        mesh.instanceMatrix.needsUpdate = true;
+
+        if (level === 0) {
+            this.fineMorphed = !!parents;
+        } else if (this.colorsStale[level]) {
+            this.averageColors(grid, level);
+        }
+    }
+    
+    // Measure the box around the drawn level's instance matrices (column-major, no rotation)
+    updateBounds() {
+        const matrices = this.meshes[this.level].instanceMatrix.array;
+        const count = this.meshes[this.level].count;
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        let maxHX = 0, maxHY = 0, maxHZ = 0;
+
+        for (let k = 0; k < count; k++) {
+            const o = k * 16;
+            const hx = Math.abs(matrices[o]) * this.halfSizeX;
+            const hy = Math.abs(matrices[o + 5]) * this.halfSizeY;
+            const hz = Math.abs(matrices[o + 10]) * this.halfSizeZ;
+            const x = matrices[o + 12];
+            const y = matrices[o + 13];
+            const z = matrices[o + 14];
+            if (x - hx < minX) minX = x - hx;
+            if (x + hx > maxX) maxX = x + hx;
+            if (y - hy < minY) minY = y - hy;
+            if (y + hy > maxY) maxY = y + hy;
+            if (z - hz < minZ) minZ = z - hz;
+            if (z + hz > maxZ) maxZ = z + hz;
+            if (hx > maxHX) maxHX = hx;
+            if (hy > maxHY) maxHY = hy;
+            if (hz > maxHZ) maxHZ = hz;
+        }
+
+        // Everything masked: nothing is drawn, keep the box finite
+        if (count === 0) {
+            minX = maxX = (this.minX + this.maxX) / 2;
+            minY = maxY = 0;
+            minZ = maxZ = (this.minZ + this.maxZ) / 2;
+        }
+
+        const bounds = this.bounds;
+        bounds[0] = minX;  bounds[1] = minY;  bounds[2] = minZ;
+        bounds[3] = maxX;  bounds[4] = maxY;  bounds[5] = maxZ;
+        bounds[6] = maxHX;  bounds[7] = maxHY;  bounds[8] = maxHZ;
+    }
+
+    // Set the drawn mesh's bounding box and sphere from this.bounds, grown by what the GPU shader
+    // may add on top of the rest pose: padding {up, down, scale} (zero/one in CPU mode)
+    applyBounds(padding) {
+        const b = this.bounds;
+        const geometry = this.meshes[this.level].geometry;
+        const grow = padding.scale - 1;
+        const growX = b[6] * grow;
+        const growY = b[7] * grow;
+        const growZ = b[8] * grow;
+
+        geometry.boundingBox.min.set(b[0] - growX, b[1] - growY - padding.down, b[2] - growZ);
+        geometry.boundingBox.max.set(b[3] + growX, b[4] + growY + padding.up, b[5] + growZ);
+        geometry.boundingBox.getBoundingSphere(geometry.boundingSphere);
+    }
+
+    // Cube colours changed: upload level 0 and re-average the merged levels when next drawn
+    invalidateColors() {
+        this.meshes[0].geometry.attributes.color.needsUpdate = true;
+        this.colorsStale.fill(1);
+        if (this.level > 0) this.dirty = true;
+    }
+
+    // Give each merged block the average colour of its unmasked cubes
+    averageColors(grid, level) {
+        const blocks = this.blocks[level];
+        const instances = this.instances[level];
+        const mesh = this.meshes[level];
+        const colors = mesh.geometry.attributes.color;
+        const source = grid.colorArray;
+
+        for (let k = 0; k < mesh.count; k++) {
+            const b = instances[k] * 4;
+            let r = 0, g = 0, bl = 0, n = 0;
+            for (let bx = 0; bx < blocks[b + 2]; bx++) {
+                for (let bz = 0; bz < blocks[b + 3]; bz++) {
+                    if (this.isCellMasked(blocks[b] + bx, blocks[b + 1] + bz)) continue;
+                    const c = this.cubeIndex(blocks[b] + bx, blocks[b + 1] + bz) * 3;
+                    r += source[c];
+                    g += source[c + 1];
+                    bl += source[c + 2];
+                    n++;
+                }
+            }
+            colors.setXYZ(k, r / n, g / n, bl / n);
+        }
+        colors.needsUpdate = true;
+        this.colorsStale[level] = 0;
+    }
+
+    // Swap the material on every level (CPU/GPU displacement)
+    setMaterial(material, depthMaterial) {
+        for (const mesh of this.meshes) {
+            mesh.material = material;
+            mesh.customDepthMaterial = depthMaterial;
+        }
+    }
+
+    // Free the per-chunk geometries (the shared cube attributes are disposed by GridManager)
+    dispose() {
+        for (const mesh of this.meshes) {
+            if (mesh.parent) mesh.parent.remove(mesh);
+            mesh.geometry.dispose();
+        }
+        this.meshes = [];
+    }
+}
+
+// Shared scratch pose for writeLevel
+GridChunk.scratchPose = new Float32Array(6);
+
+// Export the GridChunk class
+window.GridChunk = GridChunk;
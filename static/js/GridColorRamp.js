@@ -0,0 +1,94 @@
+/**
+ * GridColorRamp.js
+ * Gradient the grid's colour modes look cube colours up in - stops between 0 and 1,
+ * baked into a lookup table so per-cube sampling stays cheap
+ */
+
+class GridColorRamp {
+    // stops: [{position, color}] with position 0-1 and color anything THREE.Color accepts,
+    //        or the name of a preset (see GridColorRamp.PRESETS)
+    constructor(stops = 'neon') {
+        if (typeof stops === 'string') {
+            if (!GridColorRamp.PRESETS[stops]) {
+                console.warn(`Unknown colour ramp preset '${stops}', using 'neon'`);
+                stops = 'neon';
+            }
+            this.name = stops;
+            stops = GridColorRamp.PRESETS[stops];
+        } else {
+            this.name = 'custom';
+        }
+
+        if (!stops || stops.length === 0) {
+            throw new Error('GridColorRamp needs at least one colour stop');
+        }
+
+        this.stops = stops
+            .map(stop => ({ position: Math.min(1, Math.max(0, stop.position)), color: new THREE.Color(stop.color) }))
+            .sort((a, b) => a.position - b.position);
+        this.bake();
+    }
+
+    // Fill the lookup table by interpolating between neighbouring stops
+    bake() {
+        const size = GridColorRamp.TABLE_SIZE;
+        const table = this.table = new Float32Array(size * 3);
+        const stops = this.stops;
+        const color = new THREE.Color();
+
+        let s = 0;
+        for (let k = 0; k < size; k++) {
+            const t = k / (size - 1);
+            while (s < stops.length - 1 && stops[s + 1].position < t) s++;
+
+            const a = stops[s];
+            const b = stops[Math.min(s + 1, stops.length - 1)];
+            const span = b.position - a.position;
+            const f = span > 0 ? Math.min(1, Math.max(0, (t - a.position) / span)) : (t <= a.position ? 0 : 1);
+            color.copy(a.color).lerp(b.color, f);
+            table[k * 3] = color.r;
+            table[k * 3 + 1] = color.g;
+            table[k * 3 + 2] = color.b;
+        }
+    }
+
+    // Write the ramp's colour at t (clamped to 0-1) into out[o..o+2]
+    sample(t, out, o = 0) {
+        const size = GridColorRamp.TABLE_SIZE;
+        const k = Math.round(Math.min(1, Math.max(0, t || 0)) * (size - 1)) * 3;
+        out[o] = this.table[k];
+        out[o + 1] = this.table[k + 1];
+        out[o + 2] = this.table[k + 2];
+        return out;
+    }
+}
+
+// Lookup table entries - finer than any visible step between cube colours
+GridColorRamp.TABLE_SIZE = 256;
+
+// Built-in ramps, from a cube at rest (0) to fully raised or scaled (1)
+GridColorRamp.PRESETS = {
+    neon: [
+        { position: 0, color: 0x00ffcc },
+        { position: 0.5, color: 0x3a7bff },
+        { position: 1, color: 0xff3cf0 }
+    ],
+    heat: [
+        { position: 0, color: 0x1a0b3d },
+        { position: 0.35, color: 0xc4213f },
+        { position: 0.7, color: 0xff9a1f },
+        { position: 1, color: 0xfff4b0 }
+    ],
+    ocean: [
+        { position: 0, color: 0x02122b },
+        { position: 0.5, color: 0x0a6fb5 },
+        { position: 1, color: 0xaef6ff }
+    ],
+    mono: [
+        { position: 0, color: 0x202020 },
+        { position: 1, color: 0xffffff }
+    ]
+};
+
+// Export the GridColorRamp class
+window.GridColorRamp = GridColorRamp;
@@ -0,0 +1,340 @@
+/**
+ * GridDisplacementShader.js
+ * Vertex shader patch that moves GridManager's cube math onto the GPU
+ */
+
+const GridDisplacementShader = {
+    // Size of the effector uniform arrays - extra effectors are ignored in GPU mode
+    MAX_EFFECTORS: 32,
+    
+    // Upper bound of the fBm loop - GLSL loops need a constant limit
+    MAX_NOISE_OCTAVES: 8,
+
+    // Create the uniform set GridManager writes into every frame
+    createUniforms() {
+        const effectors = [];
+        const params = [];
+        const info = [];
+        const blend = [];
+        for (let i = 0; i < this.MAX_EFFECTORS; i++) {
+            effectors.push(new THREE.Vector4());
+            params.push(new THREE.Vector4());
+            info.push(new THREE.Vector3());
+            blend.push(new THREE.Vector2());
+        }
+
+        return {
+            uGridTime: { value: 0 },
+            uGridInitialScale: { value: 1 },
+            uGridNoiseScale: { value: 0 },
+            uGridNoiseAmplitude: { value: 0 },
+            uGridNoiseOctaves: { value: 1 },
+            uGridNoiseLacunarity: { value: 2 },
+            uGridNoiseGain: { value: 0.5 },
+            uGridNoiseWarp: { value: 0 },
+            uGridNoisePerm: { value: null },                            // SimplexNoise permutation, see updateNoiseTexture
+            uGridEffectorCount: { value: 0 },
+            uGridEffectors: { value: effectors },                       // x, z, radius, maxRaise
+            uGridEffectorParams: { value: params },                     // GridEffectors type params
+            uGridEffectorInfo: { value: info },                         // type id, y, maxScale
+            uGridEffectorBlend: { value: blend },                       // blend mode id, blendFactor
+            uGridRaiseCap: { value: 0 },
+            uGridCapPolicy: { value: 0 },                               // GridEffectors.CAP_POLICIES id
+            uGridSplineEnabled: { value: 0 },
+            uGridSplinePoint: { value: new THREE.Vector2() },
+            uGridSplineHeight: { value: 0 },
+            uGridSplineFalloff: { value: 0 },
+            uGridSplineCap: { value: 0 }                              // 0 = no cap
+        };
+    },
+
+    // Upload a SimplexNoise permutation table as a 256x1 texture so the shader hashes like the CPU
+    updateNoiseTexture(uniforms, noise) {
+        let texture = uniforms.uGridNoisePerm.value;
+        if (!texture) {
+            texture = new THREE.DataTexture(new Uint8Array(256 * 4), 256, 1, THREE.RGBAFormat, THREE.UnsignedByteType);
+            texture.minFilter = THREE.NearestFilter;
+            texture.magFilter = THREE.NearestFilter;
+            texture.generateMipmaps = false;
+            uniforms.uGridNoisePerm.value = texture;
+        }
+
+        const data = texture.image.data;
+        for (let i = 0; i < 256; i++) {
+            data[i * 4] = noise.perm[i];
+        }
+        texture.needsUpdate = true;
+    },
+
+    // GLSL declarations and the per-instance solver, mirroring GridManager.processCubesSync.
+    // Effector type ids follow GridEffectors' built-in registration order.
+    declarations: `
+        #define GRID_MAX_EFFECTORS __MAX_EFFECTORS__
+        #define GRID_MAX_NOISE_OCTAVES __MAX_NOISE_OCTAVES__
+        #define GRID_TYPE_RADIAL 0
+        #define GRID_TYPE_RING 1
+        #define GRID_TYPE_WAVE 2
+        #define GRID_TYPE_REPEL 3
+        #define GRID_TYPE_ATTRACT 4
+        #define GRID_TYPE_BOX 5
+        uniform float uGridTime;
+        uniform float uGridInitialScale;
+        uniform float uGridNoiseScale;
+        uniform float uGridNoiseAmplitude;
+        uniform float uGridNoiseOctaves;
+        uniform float uGridNoiseLacunarity;
+        uniform float uGridNoiseGain;
+        uniform float uGridNoiseWarp;
+        uniform sampler2D uGridNoisePerm;
+        uniform int uGridEffectorCount;
+        uniform vec4 uGridEffectors[GRID_MAX_EFFECTORS];
+        uniform vec4 uGridEffectorParams[GRID_MAX_EFFECTORS];
+        uniform vec3 uGridEffectorInfo[GRID_MAX_EFFECTORS];
+        uniform vec2 uGridEffectorBlend[GRID_MAX_EFFECTORS];
+        uniform float uGridRaiseCap;
+        uniform float uGridCapPolicy;
+        uniform float uGridSplineEnabled;
+        uniform vec2 uGridSplinePoint;
+        uniform float uGridSplineHeight;
+        uniform float uGridSplineFalloff;
+        uniform float uGridSplineCap;
+
+        // SimplexNoise.perm[i] for any integer i
+        float gridPerm(float i) {
+            return floor(texture2D(uGridNoisePerm, vec2((mod(i, 256.0) + 0.5) / 256.0, 0.5)).r * 255.0 + 0.5);
+        }
+
+        // SimplexNoise.gradDot: one of 12 edge gradients picked by h (0-11)
+        float gridGradDot(float h, vec3 p) {
+            float sa = mod(h, 2.0) >= 1.0 ? -1.0 : 1.0;
+            float sb = mod(floor(h * 0.5), 2.0) >= 1.0 ? -1.0 : 1.0;
+            if (h < 4.0) return sa * p.x + sb * p.y;
+            if (h < 8.0) return sa * p.x + sb * p.z;
+            return sa * p.y + sb * p.z;
+        }
+
+        // Corner contribution of SimplexNoise.noise3D
+        float gridCorner(vec3 p, vec3 cell) {
+            float t = 0.6 - dot(p, p);
+            if (t <= 0.0) return 0.0;
+            float h = mod(gridPerm(cell.x + gridPerm(cell.y + gridPerm(cell.z))), 12.0);
+            t *= t;
+            return t * t * gridGradDot(h, p);
+        }
+
+        // GLSL port of SimplexNoise.noise3D
+        float gridNoise3D(vec3 v) {
+            vec3 i = floor(v + (v.x + v.y + v.z) / 3.0);
+            vec3 x0 = v - (i - (i.x + i.y + i.z) / 6.0);
+
+            vec3 i1;
+            vec3 i2;
+            if (x0.x >= x0.y) {
+                if (x0.y >= x0.z)      { i1 = vec3(1.0, 0.0, 0.0); i2 = vec3(1.0, 1.0, 0.0); }
+                else if (x0.x >= x0.z) { i1 = vec3(1.0, 0.0, 0.0); i2 = vec3(1.0, 0.0, 1.0); }
+                else                   { i1 = vec3(0.0, 0.0, 1.0); i2 = vec3(1.0, 0.0, 1.0); }
+            } else {
+                if (x0.y < x0.z)       { i1 = vec3(0.0, 0.0, 1.0); i2 = vec3(0.0, 1.0, 1.0); }
+                else if (x0.x < x0.z)  { i1 = vec3(0.0, 1.0, 0.0); i2 = vec3(0.0, 1.0, 1.0); }
+                else                   { i1 = vec3(0.0, 1.0, 0.0); i2 = vec3(1.0, 1.0, 0.0); }
+            }
+
+            vec3 cell = mod(i, 256.0);
+            float n = gridCorner(x0, cell)
+                    + gridCorner(x0 - i1 + 1.0 / 6.0, cell + i1)
+                    + gridCorner(x0 - i2 + 2.0 / 6.0, cell + i2)
+                    + gridCorner(x0 - 0.5, cell + 1.0);
+            return 32.0 * n;
+        }
+
+        // GLSL port of SimplexNoise.fbm3D
+        float gridFbm(vec3 p) {
+            float sum = 0.0;
+            float amplitude = 1.0;
+            float frequency = 1.0;
+            float norm = 0.0;
+            for (int o = 0; o < GRID_MAX_NOISE_OCTAVES; o++) {
+                if (float(o) >= uGridNoiseOctaves) break;
+                sum += amplitude * gridNoise3D(p * frequency);
+                norm += amplitude;
+                amplitude *= uGridNoiseGain;
+                frequency *= uGridNoiseLacunarity;
+            }
+            return norm > 0.0 ? sum / norm : 0.0;
+        }
+
+        // GLSL port of SimplexNoise.warpedFbm3D
+        float gridWarpedFbm(vec3 p) {
+            if (uGridNoiseWarp > 0.0) {
+                float qx = gridFbm(p + vec3(5.2, 1.3, 0.0));
+                float qy = gridFbm(p + vec3(1.7, 9.2, 0.0));
+                p.xy += uGridNoiseWarp * vec2(qx, qy);
+            }
+            return gridFbm(p);
+        }
+
+        // GLSL port of the built-in GridEffectors falloffs: (raise weight, scale weight),
+        // returns false when the cube is outside the effector's influence
+        bool gridFalloff(int type, vec2 d, float dist, float radius, vec4 params, float effectorY,
+                         float maxRaise, float baseY, out vec2 weights) {
+            if (type == GRID_TYPE_BOX) {
+                float c = cos(params.w);
+                float s = sin(params.w);
+                vec2 local = abs(vec2(d.x * c + d.y * s, -d.x * s + d.y * c)) - params.xy;
+                float outside = length(max(local, 0.0));
+                if (outside > 0.0 && outside >= params.z) return false;
+                float t = outside > 0.0 ? outside / params.z : 0.0;
+                float weight = 1.0 - t * t * (3.0 - 2.0 * t);
+                weights = vec2(weight);
+                return true;
+            }
+
+            if (dist > radius) return false;
+            float ratio = dist / radius;
+
+            if (type == GRID_TYPE_RING) {
+                float u = (dist - params.x) / params.y;
+                if (u <= -1.0 || u >= 1.0) return false;
+                float bump = (1.0 - u * u) * (1.0 - u * u);
+                weights = vec2(bump);
+            } else if (type == GRID_TYPE_WAVE) {
+                float envelope = (1.0 - ratio * ratio) * (1.0 - ratio * ratio);
+                float dirLength = length(params.xy);
+                float along = dot(d, params.xy) / (dirLength > 0.0 ? dirLength : 1.0);
+                float wave = sin((along / params.z - uGridTime * params.w) * 6.283185307);
+                weights = vec2(envelope * wave, envelope * (0.5 + 0.5 * wave));
+            } else if (type == GRID_TYPE_REPEL) {
+                float core = (1.0 - ratio * ratio) * (1.0 - ratio * ratio);
+                float lip = (ratio - 0.8) / 0.12;
+                weights = vec2(-core + 0.35 * exp(-lip * lip), -core);
+            } else if (type == GRID_TYPE_ATTRACT) {
+                if (maxRaise <= 0.0) return false;
+                float pull = 1.0 - ratio * ratio * (3.0 - 2.0 * ratio);
+                weights = vec2(pull * clamp((effectorY - baseY) / maxRaise, 0.0, 1.0), pull);
+            } else {
+                // Radial: cubic falloff eased to quintic for raise, quadratic scale over 1.5x the radius
+                float falloff = max(0.0, 1.0 - ratio * ratio * ratio);
+                if (falloff < 0.005) return false;
+                float t = 1.0 - dist / (radius * 1.5);
+                weights = vec2(falloff * falloff * falloff * falloff * falloff, t * t);
+            }
+            return true;
+        }
+
+        // Returns (raise, scale) for a cube resting at (p.x, baseY, p.y)
+        vec2 gridDisplacement(vec2 p, float baseY) {
+            float totalRaise = 0.0;
+            float maxScale = uGridInitialScale;
+            vec2 weights;
+
+            for (int e = 0; e < GRID_MAX_EFFECTORS; e++) {
+                if (e >= uGridEffectorCount) break;
+
+                vec4 effector = uGridEffectors[e];
+                vec3 info = uGridEffectorInfo[e];
+                vec2 d = p - effector.xy;
+
+                if (!gridFalloff(int(info.x), d, length(d), effector.z, uGridEffectorParams[e],
+                                 info.y, effector.w, baseY, weights)) continue;
+
+                float raise = weights.x * effector.w;
+                float scale = uGridInitialScale + weights.y * (info.z - uGridInitialScale);
+                float coverage = min(1.0, abs(weights.x));
+                int blend = int(uGridEffectorBlend[e].x);
+
+                // Same blend modes as GridEffectors.evaluate
+                if (blend == 1) {
+                    totalRaise = max(totalRaise, raise);
+                    maxScale = max(maxScale, scale);
+                } else if (blend == 2) {
+                    totalRaise = mix(totalRaise, min(totalRaise, raise), coverage);
+                    maxScale = mix(maxScale, min(maxScale, scale), coverage);
+                } else if (blend == 3) {
+                    float factor = mix(1.0, uGridEffectorBlend[e].y, coverage);
+                    totalRaise *= factor;
+                    maxScale = uGridInitialScale + (maxScale - uGridInitialScale) * factor;
+                } else if (blend == 4) {
+                    totalRaise = mix(totalRaise, raise, coverage);
+                    maxScale = mix(maxScale, scale, coverage);
+                } else {
+                    totalRaise += raise;
+                    maxScale = max(maxScale, scale);
+                }
+            }
+
+            // Global cap on the combined effector raise (tanh written out for GLSL ES 1.0)
+            if (uGridRaiseCap > 0.0 && uGridCapPolicy > 0.5) {
+                if (uGridCapPolicy < 1.5) {
+                    totalRaise = clamp(totalRaise, -uGridRaiseCap, uGridRaiseCap);
+                } else {
+                    float e2 = exp(2.0 * clamp(totalRaise / uGridRaiseCap, -10.0, 10.0));
+                    totalRaise = uGridRaiseCap * (e2 - 1.0) / (e2 + 1.0);
+                }
+            }
+
+            if (uGridSplineEnabled > 0.5) {
+                vec2 d = p - uGridSplinePoint;
+                totalRaise += uGridSplineHeight / (1.0 + uGridSplineFalloff * dot(d, d));
+            }
+
+            if (uGridNoiseAmplitude > 0.0) {
+                totalRaise += gridWarpedFbm(vec3(p * uGridNoiseScale, uGridTime)) * uGridNoiseAmplitude;
+            }
+
+            if (uGridSplineCap != 0.0) {
+                totalRaise = min(totalRaise, uGridSplineCap - 1.0 - baseY);
+            }
+
+            return vec2(totalRaise, maxScale);
+        }
+    `,
+
+    // Builds the displaced instance matrix from the rest position stored in instanceMatrix
+    displacement: `
+        #ifdef USE_INSTANCING
+            vec3 gridBase = vec3(instanceMatrix[3][0], instanceMatrix[3][1], instanceMatrix[3][2]);
+            vec2 gridEffect = gridDisplacement(gridBase.xz, gridBase.y);
+            // Merged LOD blocks rest larger than one cube - keep their size relative to it
+            vec3 gridScale = gridEffect.y / uGridInitialScale *
+                vec3(instanceMatrix[0][0], instanceMatrix[1][1], instanceMatrix[2][2]);
+            mat4 gridInstanceMatrix = mat4(
+                gridScale.x, 0.0, 0.0, 0.0,
+                0.0, gridScale.y, 0.0, 0.0,
+                0.0, 0.0, gridScale.z, 0.0,
+                gridBase.x, gridBase.y + gridEffect.x, gridBase.z, 1.0
+            );
+        #endif
+    `,
+
+    // Patch a material so instances are displaced by the shared uniforms
+    patchMaterial(material, uniforms) {
+        const self = this;
+
+        material.onBeforeCompile = function(shader) {
+            Object.assign(shader.uniforms, uniforms);
+
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\n' +
+                    self.declarations
+                        .replace('__MAX_EFFECTORS__', self.MAX_EFFECTORS)
+                        .replace('__MAX_NOISE_OCTAVES__', self.MAX_NOISE_OCTAVES))
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\n' + self.displacement)
+                // Position and world-space chunks read the displaced matrix instead of the rest one
+                .replace('#include <project_vertex>',
+                    THREE.ShaderChunk.project_vertex.replace(/instanceMatrix/g, 'gridInstanceMatrix'))
+                .replace('#include <worldpos_vertex>',
+                    THREE.ShaderChunk.worldpos_vertex.replace(/instanceMatrix/g, 'gridInstanceMatrix'));
+        };
+
+        // Keep the patched program separate from unpatched materials of the same type
+        material.customProgramCacheKey = function() {
+            return 'grid-displacement';
+        };
+
+        material.needsUpdate = true;
+        return material;
+    }
+};
+
+// Export the GridDisplacementShader helper
+window.GridDisplacementShader = GridDisplacementShader;
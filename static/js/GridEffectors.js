@@ -0,0 +1,332 @@
+/**
+ * GridEffectors.js
+ * Effector type registry and the per-cube effector solver shared by GridManager and GridUpdateWorker
+ */
+
+const GridEffectors = {
+    types: {},        // Registered types by name
+    typesById: [],    // Same types by numeric id (what the worker and shader receive)
+    MAX_PARAMS: 4,    // Per-effector parameter slots packed for the worker and the shader
+
+    // How an effector combines with the effectors applied before it (ids are what the worker and shader see)
+    //   add      - raise is summed, scale keeps the largest (the original behaviour)
+    //   max      - raise and scale keep the largest value
+    //   min      - raise and scale are limited to this effector's value, faded in by its coverage
+    //   multiply - raise and scale growth are multiplied by blendFactor, faded in by its coverage
+    //   override - raise and scale are replaced by this effector's value, faded in by its coverage
+    BLEND_MODES: ['add', 'max', 'min', 'multiply', 'override'],
+
+    // What happens to the combined effector raise above the configured raiseCap
+    //   none  - no limit
+    //   clamp - hard limit to +/- raiseCap
+    //   soft  - tanh curve that eases towards +/- raiseCap
+    CAP_POLICIES: ['none', 'clamp', 'soft'],
+
+    // Register an effector type.
+    // falloff(out, dx, dz, dist, effector, time, baseY) writes a raise weight to out[0]
+    // (multiplied by maxRaise, may be negative) and a scale weight to out[1] (0 = initialScale,
+    // 1 = maxScale) and returns false when the cube is outside the effector's influence.
+    // `effector` is a resolved effector (see resolve) - its type params are in effector.params.
+    // Functions must be self-contained: custom types are re-created in the workers from their source.
+    register(name, falloff, options = {}) {
+        if (typeof falloff !== 'function') {
+            console.error(`Effector type '${name}' needs a falloff function`);
+            return -1;
+        }
+
+        const existing = this.types[name];
+        const params = options.params || [];
+        if (params.length > this.MAX_PARAMS) {
+            console.warn(`Effector type '${name}' declares ${params.length} params, only ${this.MAX_PARAMS} are kept`);
+        }
+
+        const type = {
+            id: existing ? existing.id : this.typesById.length,
+            name,
+            falloff,
+            params: params.slice(0, this.MAX_PARAMS),  // [{ name, default(resolved) }]
+            reach: options.reach || null,              // reach(resolved) -> max influence distance
+            builtIn: !!options.builtIn
+        };
+
+        this.types[name] = type;
+        this.typesById[type.id] = type;
+        return type.id;
+    },
+
+    // Look up a type by name, falling back to 'radial' for unknown names
+    get(name) {
+        if (!name) return this.types.radial;
+
+        const type = this.types[name];
+        if (!type) {
+            this.warnOnce(`Unknown effector type '${name}', using 'radial'`);
+            return this.types.radial;
+        }
+        return type;
+    },
+
+    // Lookups run every frame, so each unknown name is only reported once
+    warnOnce(message) {
+        if (!this._warned) this._warned = {};
+        if (!this._warned[message]) {
+            console.warn(message);
+            this._warned[message] = true;
+        }
+    },
+
+    // Pick a type from an OBJ object name, e.g. 'effector_ring.001' or 'Emitter-wave' -> the type name
+    typeFromName(objectName) {
+        const tokens = (objectName || '').toLowerCase().split(/[^a-z0-9]+/);
+        for (const token of tokens) {
+            const alias = this.aliases[token] || token;
+            if (this.types[alias]) return alias;
+        }
+        return 'radial';
+    },
+
+    // Alternative spellings accepted in OBJ names
+    aliases: {
+        directional: 'wave',
+        ripple: 'wave',
+        push: 'repel',
+        pull: 'attract',
+        rect: 'box'
+    },
+
+    // Flatten an effector into the plain object the solver reads, with every default applied
+    resolve(effector, config) {
+        const type = this.get(effector.type);
+        const resolved = {
+            x: effector.position.x,
+            y: effector.position.y,
+            z: effector.position.z,
+            radius: effector.radius || 100,
+            maxRaise: effector.maxRaise || config.effectorHeight,
+            maxScale: effector.maxScale || config.maxScale,
+            typeId: type.id,
+            params: [0, 0, 0, 0],
+            blend: this.blendId(effector.blend),
+            blendFactor: effector.blendFactor !== undefined ? effector.blendFactor : 0.5,
+            priority: effector.priority || 0
+        };
+
+        type.params.forEach((param, k) => {
+            const value = effector[param.name];
+            resolved.params[k] = value !== undefined ? value : param.default(resolved);
+        });
+
+        return resolved;
+    },
+
+    // Numeric id of a blend mode name, 'add' for missing or unknown names
+    blendId(name) {
+        if (!name) return 0;
+
+        const id = this.BLEND_MODES.indexOf(name);
+        if (id === -1) {
+            this.warnOnce(`Unknown effector blend mode '${name}', using 'add'`);
+            return 0;
+        }
+        return id;
+    },
+
+    // Numeric id of a cap policy name, 'none' for missing or unknown names
+    capPolicyId(name) {
+        const id = this.CAP_POLICIES.indexOf(name);
+        if (name && id === -1) {
+            this.warnOnce(`Unknown cap policy '${name}', using 'none'`);
+        }
+        return Math.max(0, id);
+    },
+
+    // Order resolved effectors so higher priorities are applied later (and win override/min)
+    sortByPriority(resolvedEffectors) {
+        return resolvedEffectors.sort((a, b) => a.priority - b.priority);
+    },
+
+    // Furthest distance from its position at which a resolved effector can touch a cube
+    reach(resolved) {
+        const type = this.typesById[resolved.typeId];
+        return type && type.reach ? type.reach(resolved) : resolved.radius;
+    },
+
+    // Combine every resolved effector's influence on one cube: out[0] = total raise, out[1] = scale.
+    // Effectors are blended in array order (see sortByPriority), then raiseCap is applied to the total.
+    evaluate(out, x, z, baseY, effectors, time, initialScale, raiseCap = 0, capPolicy = 0) {
+        const weights = this._weights || (this._weights = [0, 0]);
+        let totalRaise = 0;
+        let maxScale = initialScale;
+
+        for (let e = 0; e < effectors.length; e++) {
+            const effector = effectors[e];
+            const type = this.typesById[effector.typeId];
+
+            const dx = x - effector.x;
+            const dz = z - effector.z;
+            const dist = Math.sqrt(dx*dx + dz*dz);
+
+            if (!type.falloff(weights, dx, dz, dist, effector, time, baseY)) continue;
+
+            const raise = weights[0] * effector.maxRaise;
+            const scale = initialScale + weights[1] * (effector.maxScale - initialScale);
+
+            // How strongly the non-accumulating modes take hold, so they fade out at the edge
+            const coverage = Math.min(1, Math.abs(weights[0]));
+
+            switch (effector.blend) {
+                case 1: // max
+                    totalRaise = Math.max(totalRaise, raise);
+                    maxScale = Math.max(maxScale, scale);
+                    break;
+                case 2: // min
+                    totalRaise += (Math.min(totalRaise, raise) - totalRaise) * coverage;
+                    maxScale += (Math.min(maxScale, scale) - maxScale) * coverage;
+                    break;
+                case 3: { // multiply
+                    const factor = 1 + (effector.blendFactor - 1) * coverage;
+                    totalRaise *= factor;
+                    maxScale = initialScale + (maxScale - initialScale) * factor;
+                    break;
+                }
+                case 4: // override
+                    totalRaise += (raise - totalRaise) * coverage;
+                    maxScale += (scale - maxScale) * coverage;
+                    break;
+                default: // add
+                    totalRaise += raise;
+                    maxScale = Math.max(maxScale, scale);
+            }
+        }
+
+        out[0] = this.applyCap(totalRaise, raiseCap, capPolicy);
+        out[1] = maxScale;
+        return out;
+    },
+
+    // Limit a combined raise according to a cap policy id
+    applyCap(raise, raiseCap, capPolicy) {
+        if (!capPolicy || raiseCap <= 0) return raise;
+
+        if (capPolicy === 1) {
+            return Math.max(-raiseCap, Math.min(raiseCap, raise));
+        }
+        return raiseCap * Math.tanh(raise / raiseCap);
+    }
+};
+
+// Original GridManager behaviour: cubic falloff eased to quintic for raise, quadratic for scale
+GridEffectors.register('radial', (out, dx, dz, dist, effector) => {
+    if (dist > effector.radius) return false;
+
+    const ratio = dist / effector.radius;
+    const falloff = Math.max(0, 1 - ratio * ratio * ratio);
+    if (falloff < 0.005) return false;
+
+    // Scale reaches 1.5x the radius, but only cubes inside the radius get here
+    const t = 1 - dist / (effector.radius * 1.5);
+    out[0] = falloff * falloff * falloff * falloff * falloff;
+    out[1] = t * t;
+    return true;
+}, { builtIn: true });
+
+// Raised band at ringRadius from the centre, ringWidth wide on each side
+GridEffectors.register('ring', (out, dx, dz, dist, effector) => {
+    if (dist > effector.radius) return false;
+
+    const u = (dist - effector.params[0]) / effector.params[1];
+    if (u <= -1 || u >= 1) return false;
+
+    const bump = (1 - u * u) * (1 - u * u);
+    out[0] = bump;
+    out[1] = bump;
+    return true;
+}, {
+    builtIn: true,
+    params: [
+        { name: 'ringRadius', default: e => e.radius * 0.6 },
+        { name: 'ringWidth', default: e => e.radius * 0.2 }
+    ]
+});
+
+// Travelling sine wave along (directionX, directionZ), faded out towards the radius
+GridEffectors.register('wave', (out, dx, dz, dist, effector, time) => {
+    if (dist > effector.radius) return false;
+
+    const ratio = dist / effector.radius;
+    const envelope = (1 - ratio * ratio) * (1 - ratio * ratio);
+
+    const dirX = effector.params[0];
+    const dirZ = effector.params[1];
+    const length = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+    const along = (dx * dirX + dz * dirZ) / length;
+
+    const wave = Math.sin((along / effector.params[2] - time * effector.params[3]) * Math.PI * 2);
+    out[0] = envelope * wave;
+    out[1] = envelope * (0.5 + 0.5 * wave);
+    return true;
+}, {
+    builtIn: true,
+    params: [
+        { name: 'directionX', default: () => 0 },
+        { name: 'directionZ', default: () => -1 },
+        { name: 'wavelength', default: e => e.radius * 0.25 },
+        { name: 'waveSpeed', default: () => 1 }
+    ]
+});
+
+// Crater: cubes pushed down and shrunk at the centre, with a small lip around the edge
+GridEffectors.register('repel', (out, dx, dz, dist, effector) => {
+    if (dist > effector.radius) return false;
+
+    const ratio = dist / effector.radius;
+    const core = (1 - ratio * ratio) * (1 - ratio * ratio);
+    const lip = (ratio - 0.8) / 0.12;
+
+    out[0] = -core + 0.35 * Math.exp(-lip * lip);
+    out[1] = -core;
+    return true;
+}, { builtIn: true });
+
+// Cubes reach up towards the effector's own height, never further than maxRaise
+GridEffectors.register('attract', (out, dx, dz, dist, effector, time, baseY) => {
+    if (dist > effector.radius || effector.maxRaise <= 0) return false;
+
+    const ratio = dist / effector.radius;
+    const pull = 1 - ratio * ratio * (3 - 2 * ratio);
+
+    out[0] = pull * Math.max(0, Math.min(1, (effector.y - baseY) / effector.maxRaise));
+    out[1] = pull;
+    return true;
+}, { builtIn: true });
+
+// Rectangle of halfWidth x halfDepth rotated by `rotation` (radians), softened over `edge`
+GridEffectors.register('box', (out, dx, dz, dist, effector) => {
+    const cos = Math.cos(effector.params[3]);
+    const sin = Math.sin(effector.params[3]);
+    const localX = Math.abs(dx * cos + dz * sin) - effector.params[0];
+    const localZ = Math.abs(-dx * sin + dz * cos) - effector.params[1];
+
+    const outsideX = Math.max(localX, 0);
+    const outsideZ = Math.max(localZ, 0);
+    const outside = Math.sqrt(outsideX * outsideX + outsideZ * outsideZ);
+    if (outside > 0 && outside >= effector.params[2]) return false;
+
+    const t = outside > 0 ? outside / effector.params[2] : 0;
+    const weight = 1 - t * t * (3 - 2 * t);
+    out[0] = weight;
+    out[1] = weight;
+    return true;
+}, {
+    builtIn: true,
+    params: [
+        { name: 'halfWidth', default: e => e.radius * 0.5 },
+        { name: 'halfDepth', default: e => e.radius * 0.5 },
+        { name: 'edge', default: e => e.radius * 0.2 },
+        { name: 'rotation', default: () => 0 }
+    ],
+    reach: e => Math.sqrt(e.params[0] * e.params[0] + e.params[1] * e.params[1]) + e.params[2]
+});
+
+// Export for both the page (window) and GridUpdateWorker (worker global scope)
+self.GridEffectors = GridEffectors;
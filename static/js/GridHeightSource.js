@@ -0,0 +1,185 @@
+/**
+ * GridHeightSource.js
+ * Where GridManager takes each cube's rest height (baseY) from: a greyscale height map,
+ * a procedural function or a downward raycast against scene meshes
+ */
+
+class GridHeightSource {
+    // World height at (x, z), or null where the source has no data (the cube keeps config.baseHeight)
+    sample(x, z) {
+        throw new Error(`${this.constructor.name} does not implement sample`);
+    }
+
+    // Called before a batch of samples (e.g. to refresh world matrices)
+    prepare() {}
+}
+
+class HeightMapSource extends GridHeightSource {
+    // image:   HTMLImageElement, canvas or ImageData ({width, height, data}) - brightness is height
+    // options: {minX, maxX, minZ, maxZ} world rectangle the image covers (image top = minZ),
+    //          {minHeight, maxHeight} world heights of black and white
+    constructor(image, options = {}) {
+        super();
+        const pixels = HeightMapSource.readPixels(image);
+        this.width = pixels.width;
+        this.height = pixels.height;
+        this.minX = options.minX !== undefined ? options.minX : -100;
+        this.maxX = options.maxX !== undefined ? options.maxX : 100;
+        this.minZ = options.minZ !== undefined ? options.minZ : -100;
+        this.maxZ = options.maxZ !== undefined ? options.maxZ : 100;
+        this.minHeight = options.minHeight !== undefined ? options.minHeight : -15;
+        this.maxHeight = options.maxHeight !== undefined ? options.maxHeight : 0;
+
+        // Luminance (0-1) per pixel, row by row
+        this.values = new Float32Array(this.width * this.height);
+        for (let p = 0; p < this.values.length; p++) {
+            const o = p * 4;
+            this.values[p] = (0.299 * pixels.data[o] + 0.587 * pixels.data[o + 1] + 0.114 * pixels.data[o + 2]) / 255;
+        }
+    }
+
+    // Bilinearly interpolated height, null outside the covered rectangle
+    sample(x, z) {
+        const u = (x - this.minX) / (this.maxX - this.minX);
+        const v = (z - this.minZ) / (this.maxZ - this.minZ);
+        if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) return null;
+
+        const px = u * (this.width - 1);
+        const pz = v * (this.height - 1);
+        const x0 = Math.floor(px);
+        const z0 = Math.floor(pz);
+        const x1 = Math.min(x0 + 1, this.width - 1);
+        const z1 = Math.min(z0 + 1, this.height - 1);
+        const tx = px - x0;
+        const tz = pz - z0;
+
+        const top = this.values[z0 * this.width + x0] * (1 - tx) + this.values[z0 * this.width + x1] * tx;
+        const bottom = this.values[z1 * this.width + x0] * (1 - tx) + this.values[z1 * this.width + x1] * tx;
+        const value = top * (1 - tz) + bottom * tz;
+        return this.minHeight + value * (this.maxHeight - this.minHeight);
+    }
+
+    // RGBA pixels of an image, canvas or ImageData
+    static readPixels(image) {
+        if (image.data && image.width && image.height) return image;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, image.width, image.height);
+    }
+
+    // Load a height map image; callback(source) once decoded, callback(null, error) on failure
+    static load(url, options, callback) {
+        console.log('Loading height map from:', url);
+        new THREE.ImageLoader().load(url, function(image) {
+            console.log(`Height map loaded: ${image.width}x${image.height}`);
+            if (callback) callback(new HeightMapSource(image, options));
+        }, undefined, function(error) {
+            console.error('Error loading height map:', error);
+            if (callback) callback(null, error);
+        });
+    }
+}
+
+class ProceduralHeightSource extends GridHeightSource {
+    // heightFunction(x, z) returning a world height, or options for seeded simplex fBm hills:
+    // {seed, base, amplitude, scale, octaves}
+    constructor(heightFunction = {}) {
+        super();
+        if (typeof heightFunction === 'function') {
+            this.heightFunction = heightFunction;
+            return;
+        }
+
+        const options = heightFunction;
+        const noise = new SimplexNoise(options.seed !== undefined ? options.seed : 7);
+        const base = options.base !== undefined ? options.base : -15;
+        const amplitude = options.amplitude !== undefined ? options.amplitude : 6;
+        const scale = options.scale !== undefined ? options.scale : 0.01;
+        const octaves = options.octaves !== undefined ? options.octaves : 4;
+        this.heightFunction = (x, z) => base + noise.fbm3D(x * scale, z * scale, 0, octaves) * amplitude;
+    }
+
+    sample(x, z) {
+        const height = this.heightFunction(x, z);
+        return Number.isFinite(height) ? height : null;
+    }
+}
+
+class RaycastHeightSource extends GridHeightSource {
+    // meshes:  objects to cast onto (children included), e.g. the scene's ground and road meshes
+    // options: {top} height the rays start from, {offset} added to the hit height,
+    //          {cellSize} cast only at the corners of cells this size and interpolate (0 = every sample)
+    constructor(meshes, options = {}) {
+        super();
+        this.meshes = meshes;
+        this.top = options.top !== undefined ? options.top : 1000;
+        this.offset = options.offset !== undefined ? options.offset : 0;
+        this.cellSize = options.cellSize || 0;
+        this.corners = new Map();   // Cached corner heights (NaN = no hit), cleared when it grows too large
+        this.raycaster = new THREE.Raycaster();
+        this.origin = new THREE.Vector3();
+        this.down = new THREE.Vector3(0, -1, 0);
+        this.hits = [];
+    }
+
+    // Meshes may have moved since they were loaded
+    prepare() {
+        this.meshes.forEach(mesh => mesh.updateMatrixWorld(true));
+        this.corners.clear();
+    }
+
+    // Height at (x, z): interpolated between cached cell corners, or cast directly where a
+    // corner missed the meshes (edges of the ground)
+    sample(x, z) {
+        if (this.cellSize > 0) {
+            const fx = x / this.cellSize;
+            const fz = z / this.cellSize;
+            const cx = Math.floor(fx);
+            const cz = Math.floor(fz);
+            const tx = fx - cx;
+            const tz = fz - cz;
+            const h00 = this.cornerHeight(cx, cz);
+            const h10 = this.cornerHeight(cx + 1, cz);
+            const h01 = this.cornerHeight(cx, cz + 1);
+            const h11 = this.cornerHeight(cx + 1, cz + 1);
+            const height = (h00 * (1 - tx) + h10 * tx) * (1 - tz) + (h01 * (1 - tx) + h11 * tx) * tz;
+            if (!Number.isNaN(height)) return height;
+        }
+        return this.cast(x, z);
+    }
+
+    // Cast height at cell corner (cx, cz), NaN where nothing is hit
+    cornerHeight(cx, cz) {
+        const key = (cx + 32768) * 65536 + (cz + 32768);
+        let height = this.corners.get(key);
+        if (height === undefined) {
+            if (this.corners.size >= RaycastHeightSource.MAX_CORNERS) this.corners.clear();
+            const hit = this.cast(cx * this.cellSize, cz * this.cellSize);
+            height = hit === null ? NaN : hit;
+            this.corners.set(key, height);
+        }
+        return height;
+    }
+
+    // Height of the highest surface below (x, top, z)
+    cast(x, z) {
+        this.origin.set(x, this.top, z);
+        this.raycaster.set(this.origin, this.down);
+        this.hits.length = 0;
+        this.raycaster.intersectObjects(this.meshes, true, this.hits);
+        return this.hits.length > 0 ? this.hits[0].point.y + this.offset : null;
+    }
+}
+
+// Corner heights kept before the cache starts over - bounds memory on long streamed paths
+RaycastHeightSource.MAX_CORNERS = 1 << 18;
+
+// Export the height source classes
+window.GridHeightSource = GridHeightSource;
+window.HeightMapSource = HeightMapSource;
+window.ProceduralHeightSource = ProceduralHeightSource;
+window.RaycastHeightSource = RaycastHeightSource;
@@ -11,6 +11,7 @@ class GridManager {
         this.config = Object.assign({
             // Visualization options
             showQuadTreeDepth: false,   // Whether to color cubes based on quadtree depth
+            showQuadTreeOverlay: false, // Whether to draw quadtree nodes and the frame's query circles
             // Grid dimensions
             gridSizeX: 100,     // Reduced from 350 for better performance
             gridSizeZ: 500,     // Reduced from 500 for better performance
@@ -30,6 +31,8 @@ class GridManager {
             splineHeight: 25,          // Maximum height effect from spline
             effectorFalloff: 0.0005,   // How quickly effector effects fall off with distance
             effectorHeight: 15,        // Maximum height effect from effectors
+            raiseCap: 0,               // Limit on the combined effector raise (0 = no limit)
+            capPolicy: 'none',         // How raiseCap is applied: 'none', 'clamp' or 'soft'
             
             // Performance settings
             batchSize: 200,    // Increased from 300 for faster loading
@@ -37,38 +40,337 @@ class GridManager {
             
             // Optimization settings
             cullingDistance: 100,      // Distance beyond which cubes aren't processed
-            updateInterval: 5,         // Only update every N frames
-            maxCubesPerFrame: 1000,    // Maximum cubes to process per frame
+            updateInterval: 5,         // Spread the cubes needing updates over N frames
+            maxCubesPerFrame: 1000,    // Maximum cubes to process per frame (slows the rotation down further)
             lodFactor: 2,            // Level of detail factor (higher = more aggressive culling)
-            useSimpleMaterial: true    // Use simpler material for better performance
+            spatialIndex: 'lattice',   // 'lattice' (cell per grid point, O(k) queries) or 'quadtree'
+            
+            // Chunks and distance LOD
+            chunkSize: 32,             // Cubes per chunk side (1-256) - each chunk is drawn by its own InstancedMeshes
+            lodEnabled: true,          // Merge distant cubes into larger ones
+            lodDistances: [180, 360],  // Viewer distances where chunks switch to 2x2, then 4x4 merged blocks
+            lodMorphRange: 0.3,        // Fraction of each distance over which cubes slide into their merged block
+            
+            // Rest heights
+            heightSource: null,        // GridHeightSource giving each cube's baseY (null = baseHeight everywhere)
+            masks: [],                 // GridMasks - cells any of them contains get no cube drawn or indexed
+            
+            // Streaming: a fixed window of chunks follows the player, recycling chunks left behind
+            streaming: false,          // Replace the gridSizeX x gridSizeZ block with the streamed window
+            streamChunks: 10,          // Chunks per side of the window - memory doesn't grow with the path
+            streamLead: 0.5,           // Shift of the window ahead along the camera path (0 = centred, 1 = player at its edge)
+            useSimpleMaterial: true,   // Use simpler material for better performance
+            
+            // Spring physics (CPU displacement only - the GPU shader has no per-cube state)
+            springEnabled: false,      // Ease cubes toward their targets instead of snapping
+            springStiffness: 120,      // Spring constant (1/s^2) - higher is snappier
+            springDamping: 0.6,        // Damping ratio: 1 = no overshoot, lower = more bounce
+            relaxDuration: 0.8,        // Seconds for cubes leaving the active region to ease back to rest (0 = snap)
+            displacementMode: 'cpu',   // 'cpu' = per-cube matrices near the player, 'gpu' = vertex shader on every cube
+            
+            // Per-cube colour, written as cubes are solved (CPU displacement only)
+            colorMode: 'none',         // 'none', 'raise', 'scale' or 'effector' (raise tinted by the nearest effector's colour)
+            colorRamp: 'neon',         // GridColorRamp preset name or [{position, color}] stops
+            colorStrength: 0.8,        // How far cube colours move from cubeColor toward the ramp (0-1)
+            colorRange: 15,            // Raise (world units) that reaches the end of the ramp
+            
+            // Worker settings
+            useWorkers: true,          // Solve cube effects in GridUpdateWorker when Workers are available
+            workerCount: 2,            // Number of workers to split each frame's cubes across
+            workerPath: '/static/js/GridUpdateWorker.js'
         }, options);
         
+        if (this.config.chunkSize > GridManager.MAX_CHUNK_SIZE) {
+            console.warn(`chunkSize ${this.config.chunkSize} is over the ${GridManager.MAX_CHUNK_SIZE} limit, using ${GridManager.MAX_CHUNK_SIZE}`);
+        }
+        
         // Frame counter for update interval
         this._frameCounter = 0;
         
+        // Time-slicing state: cubes are visited in instance order, continuing after the last one processed
+        this._scheduleCursor = -1;
+        this.updateStats = {
+            candidates: 0,      // Cubes near the player/effectors this frame
+            processed: 0,       // Cubes solved this frame
+            skipped: 0,         // Candidates left for later frames
+            framesPerCycle: 0,  // Frames needed to visit every candidate once
+            displaced: 0,       // Cubes away from their rest pose
+            relaxing: 0,        // Displaced cubes easing back to rest
+            chunksByLevel: []   // Number of chunks drawn at each level of detail
+        };
+        
+        // Grid size to go back to when streaming is switched off again
+        this.fixedGridSize = { x: this.config.gridSizeX, z: this.config.gridSizeZ };
+        this._streamGeneration = 0;   // Bumped whenever cubes move to new places (see applyWorkerResults)
+        this._buildId = 0;            // Bumped by createGrid so an older build's batches stop
+        this.applyGridLayout();
+        
         // Set up collections
-        this.cubes = {};          // All cube data indexed by key
+        this.allocateCubeStorage(this.config.gridSizeX * this.config.gridSizeZ);
+        this.displacedCubes = new Set(); // Instance ids of cubes away from their rest pose
         this.effectors = [];      // All active effectors (player, custom, etc.)
         this.visualizers = {};    // Visual representations of effectors
         
         // Initialize physics values
-        this.time = 0;            // Internal time counter for animations
+        this.time = 0;            // Animation time: seconds elapsed x noiseSpeed
+        this.elapsed = 0;         // Seconds of (scaled, unpaused) frame time, drives the springs
+        this.progress = 0;        // Latest camera place along the path (0-1 of its length) passed to update
         this.noiseScale = 0.02;   // Scale factor for noise
-        this.noiseSpeed = 0.2;    // Speed of noise animation
+        this.noiseSpeed = 0.6;    // Animation time per second (0.6 = the old 0.01 per frame at 60fps)
         this.noiseAmplitude = 0.5; // Height of noise effect
+        this.noiseOctaves = 3;    // fBm octaves (1-8)
+        this.noiseLacunarity = 2; // Frequency multiplier between octaves
+        this.noiseGain = 0.5;     // Amplitude multiplier between octaves
+        this.noiseWarp = 0;       // Domain warp strength in noise units (0 = off)
+        this.noiseSeed = 1337;    // Same seed, same terrain across reloads
+        this.noise = new SimplexNoise(this.noiseSeed);
+        
+        // Colour mode lookups, see writeCubeColor
+        this.colorRamp = new GridColorRamp(this.config.colorRamp);
+        this._colorSources = [];            // Tinting effectors: x, z, reach, r, g, b each
+        this._colorScratch = new Float32Array(3);
+        this._baseColor = new THREE.Color(this.config.cubeColor);
         
         // Create spatial data structure
-        this.initQuadTree();
+        this.initSpatialIndex();
         
-        // Create instanced mesh for all cubes
-        this.createInstancedMesh();
+        // Create the chunk meshes for all cubes
+        this.createChunkMeshes();
+        
+        // Off-main-thread solvers (empty when running synchronously)
+        this.workers = [];
+        this._nextBatchId = 0;
+        this._workerFramesSkipped = 0;
+        if (this.config.useWorkers) {
+            this.initWorkers();
+        }
         
         // Set ready flag
         this.ready = false;
     }
     
-    // Initialize the quadtree for spatial partitioning
-    initQuadTree() {
+    // Spawn the effect solver workers, falling back to synchronous updates if they can't be created
+    initWorkers() {
+        if (typeof Worker === 'undefined' || typeof GridWorkerProtocol === 'undefined') {
+            console.warn('Web Workers are not available, using synchronous grid updates');
+            return;
+        }
+        
+        const count = Math.max(1, Math.floor(this.config.workerCount || 1));
+        
+        for (let w = 0; w < count; w++) {
+            try {
+                // Two buffer slots per worker: one can be solved while the other is in flight
+                const entry = {
+                    worker: new Worker(this.config.workerPath),
+                    ready: false,
+                    slots: [
+                        { buffers: null, inFlight: false },
+                        { buffers: null, inFlight: false }
+                    ]
+                };
+                entry.worker.onmessage = (e) => this.handleWorkerMessage(entry, e.data);
+                entry.worker.onerror = (error) => this.handleWorkerError(entry, error);
+                this.workers.push(entry);
+            } catch (error) {
+                console.error('Failed to create grid update worker:', error);
+            }
+        }
+        
+        console.log(`Created ${this.workers.length} grid update worker(s)`);
+    }
+    
+    // Whether update() should hand cubes to the workers this frame
+    isUsingWorkers() {
+        return this.workers.some(entry => entry.ready);
+    }
+    
+    // Handle a message posted back by one of the workers
+    handleWorkerMessage(entry, data) {
+        // Payloads from a worker built against another protocol layout can't be trusted
+        if (data.version !== GridWorkerProtocol.VERSION) {
+            console.error(`Grid worker protocol mismatch (worker v${data.version}, page v${GridWorkerProtocol.VERSION}), falling back to synchronous updates`);
+            this.terminateWorkers();
+            return;
+        }
+        
+        if (data.command === 'ready') {
+            // Custom effector types registered before the worker started still have to reach it
+            GridEffectors.typesById.forEach(type => {
+                if (!type.builtIn) this.postEffectorType(entry, type);
+            });
+            entry.ready = true;
+            console.log('Grid update worker ready');
+        } else if (data.command === 'batchComplete') {
+            const slot = entry.slots[data.slot];
+            slot.buffers = this.wrapWorkerBuffers(data);
+            slot.inFlight = false;
+            this.applyWorkerResults(slot.buffers, data.count, slot.elapsed, slot.generation);
+        } else if (data.command === 'batchRejected') {
+            console.error('Grid worker rejected batch:', data.reason);
+            this.terminateWorkers();
+        }
+    }
+    
+    // Send a custom effector type's falloff to a worker, which rebuilds it from source
+    postEffectorType(entry, type) {
+        entry.worker.postMessage({
+            command: 'registerEffectorType',
+            version: GridWorkerProtocol.VERSION,
+            id: type.id,
+            name: type.name,
+            falloff: type.falloff.toString()
+        });
+    }
+    
+    // A worker that fails takes the whole pool down - the synchronous path takes over
+    handleWorkerError(entry, error) {
+        console.error('Grid update worker failed, falling back to synchronous updates:', error.message || error);
+        this.terminateWorkers();
+    }
+    
+    // Stop all workers and forget any batches still in flight
+    terminateWorkers() {
+        this.workers.forEach(entry => entry.worker.terminate());
+        this.workers = [];
+    }
+    
+    // Re-wrap the ArrayBuffers a worker transferred back into a reusable buffer set
+    wrapWorkerBuffers(data) {
+        const indices = new Uint32Array(data.indices);
+        return {
+            capacity: indices.length,
+            positions: new Float32Array(data.positions),
+            indices,
+            matrices: new Float32Array(data.matrices),
+            state: new Float32Array(data.state)
+        };
+    }
+    
+    // Allocate struct-of-arrays cube storage; every array is indexed by instance id (see getCubeIndex)
+    allocateCubeStorage(capacity) {
+        this.cubeCount = 0;                                   // Cubes created so far by createGrid
+        this.cubeX = new Float32Array(capacity);
+        this.cubeZ = new Float32Array(capacity);
+        this.cubeBaseY = new Float32Array(capacity);          // Rest height
+        this.cubeY = new Float32Array(capacity);
+        this.cubeScale = new Float32Array(capacity);
+        this.cubeVelocity = new Float32Array(capacity);       // Spring velocity of y
+        this.cubeScaleVelocity = new Float32Array(capacity);  // Spring velocity of scale
+        this.cubeLastStep = new Float64Array(capacity);       // this.elapsed when the cube was last solved
+        this.cubeRelaxStart = new Float64Array(capacity).fill(-1); // this.elapsed when it started easing back to rest (-1 = not relaxing)
+        this.cubeRelaxFromY = new Float32Array(capacity);
+        this.cubeRelaxFromScale = new Float32Array(capacity);
+        this.cubeDepth = new Uint8Array(capacity);            // Quadtree depth, filled in by QuadTree.insert
+        
+        // Per-frame candidate collection: a cube is a candidate when its stamp equals the frame stamp,
+        // so the set never has to be cleared
+        this._candidateStamp = new Uint32Array(capacity);
+        this._frameStamp = 0;
+        this._candidates = new Uint32Array(capacity);
+        this._candidateCount = 0;
+        this._scheduled = new Uint32Array(capacity);
+        this._queryResults = [];
+        this._frameQueries = [];    // x, z, radius of each query this frame (for the quadtree overlay)
+    }
+    
+    // Instance id of the cube at grid cell (ix, iz) - ids run chunk by chunk (see createChunkMeshes).
+    // When streaming, cells are world lattice points and wrap around the window, so the id is
+    // only the cell's cube while the cell lies inside the current window.
+    getCubeIndex(ix, iz) {
+        const chunkSize = this.getChunkSize();
+        const cx = Math.floor(ix / chunkSize);
+        const cz = Math.floor(iz / chunkSize);
+        const slotX = ((cx % this.chunksX) + this.chunksX) % this.chunksX;
+        const slotZ = ((cz % this.chunksZ) + this.chunksZ) % this.chunksZ;
+        const chunk = this.chunks[slotX * this.chunksZ + slotZ];
+        return chunk.cubeIndex(ix - cx * chunkSize, iz - cz * chunkSize);
+    }
+    
+    // Cubes per chunk side - at most MAX_CHUNK_SIZE, as chunks index their cells with 16-bit arrays
+    getChunkSize() {
+        return Math.min(GridManager.MAX_CHUNK_SIZE, Math.max(1, Math.round(this.config.chunkSize)));
+    }
+    
+    // Size the grid for the current mode: the fixed block, or a streamChunks x streamChunks
+    // window of chunks when streaming
+    applyGridLayout() {
+        if (this.config.streaming) {
+            const size = Math.max(2, Math.round(this.config.streamChunks)) * this.getChunkSize();
+            this.config.gridSizeX = size;
+            this.config.gridSizeZ = size;
+        } else {
+            this.config.gridSizeX = this.fixedGridSize.x;
+            this.config.gridSizeZ = this.fixedGridSize.z;
+        }
+    }
+    
+    // World position of grid cell (0, 0). Streamed cells are world lattice points around (gridX, gridZ),
+    // the fixed block is centred on it.
+    getLatticeOrigin() {
+        if (this.config.streaming) {
+            return { x: this.config.gridX, z: this.config.gridZ };
+        }
+        return {
+            x: this.config.gridX - (this.config.gridSizeX - 1) * this.config.spacing / 2,
+            z: this.config.gridZ - (this.config.gridSizeZ - 1) * this.config.spacing / 2
+        };
+    }
+    
+    // Build the spatial index cube queries go through (config.spatialIndex picks the implementation)
+    initSpatialIndex() {
+        // Quadtree boundaries are fixed, only the wrapping lattice can follow a streamed window
+        if (this.config.streaming && this.config.spatialIndex !== 'lattice') {
+            console.warn('Streaming needs the lattice spatial index, using it instead');
+            this.config.spatialIndex = 'lattice';
+        }
+        
+        if (this.config.spatialIndex === 'lattice') {
+            // Streamed chunks recycle onto the cells they vacate, so a wrapping lattice never changes
+            const origin = this.getLatticeOrigin();
+            this.spatialIndex = new LatticeIndex({
+                originX: origin.x,
+                originZ: origin.z,
+                spacing: this.config.spacing,
+                countX: this.config.gridSizeX,
+                countZ: this.config.gridSizeZ,
+                wrap: this.config.streaming
+            }, { x: this.cubeX, z: this.cubeZ });
+        } else {
+            this.spatialIndex = this.createQuadTree();
+        }
+        
+        // Re-insert existing cubes when the index is rebuilt (e.g. the LOD factor changed)
+        for (let i = 0; i < this.cubeCount; i++) {
+            if (!this.isCubeMasked(i)) this.spatialIndex.insert(i);
+        }
+        this._debugQuadTree = null;
+        
+        // Update visualization if enabled
+        if (this.config.showQuadTreeDepth && this.chunks) {
+            this.colorCubesByQuadTreeDepth();
+        }
+        if (this.quadTreeOverlay) {
+            this.quadTreeOverlay.setQuadTree(this.getQuadTree());
+        }
+    }
+    
+    // The quadtree over all cubes for depth colours and the debug overlay. With the lattice index
+    // active a separate tree is built on first use and kept until the index is rebuilt.
+    getQuadTree() {
+        if (this.spatialIndex instanceof QuadTree) return this.spatialIndex;
+        
+        if (!this._debugQuadTree) {
+            this._debugQuadTree = this.createQuadTree();
+            for (let i = 0; i < this.cubeCount; i++) {
+                if (!this.isCubeMasked(i)) this._debugQuadTree.insert(i);
+            }
+        }
+        return this._debugQuadTree;
+    }
+    
+    // Create an empty quadtree covering the grid
+    createQuadTree() {
         const halfX = (this.config.gridSizeX - 1) * this.config.spacing / 2;
         const halfZ = (this.config.gridSizeZ - 1) * this.config.spacing / 2;
         
@@ -79,20 +381,35 @@ class GridManager {
             height: halfZ + 100  // Add margin
         };
         
+        // The streamed window moves - cover wherever its chunks are now
+        if (this.config.streaming && this.chunks && this.chunks.length > 0) {
+            const first = this.chunks[0];
+            let minX = first.minX, maxX = first.maxX, minZ = first.minZ, maxZ = first.maxZ;
+            for (const chunk of this.chunks) {
+                minX = Math.min(minX, chunk.minX);
+                maxX = Math.max(maxX, chunk.maxX);
+                minZ = Math.min(minZ, chunk.minZ);
+                maxZ = Math.max(maxZ, chunk.maxZ);
+            }
+            boundary.x = (minX + maxX) / 2;
+            boundary.z = (minZ + maxZ) / 2;
+        }
+        
         // Use lodFactor to control quadtree capacity - higher factor means less subdivisions
         // This directly affects how the LOD system works
         const capacity = Math.max(4, Math.round(8 * this.config.lodFactor)); 
-        this.quadTree = new QuadTree(boundary, capacity);
-        
-        // Update visualization if enabled
-        if (this.config.showQuadTreeDepth && this.instanceColors) {
-            this.colorCubesByQuadTreeDepth();
-        }
+        return new QuadTree(boundary, capacity, 0, {
+            x: this.cubeX,
+            z: this.cubeZ,
+            depth: this.cubeDepth
+        });
     }
     
-    // Create the instanced mesh for all cubes
-    createInstancedMesh() {
-        console.log('Creating instanced mesh for cubes...');
+    // Split the grid into chunks, each drawn by its own InstancedMeshes (see GridChunk).
+    // Cube ids run chunk by chunk, so every chunk's instance matrices and colours are one
+    // contiguous slice of matrixArray / colorArray and can be written by cube id.
+    createChunkMeshes() {
+        console.log('Creating chunked instanced meshes for cubes...');
         try {
             // Create geometry and material
             const cubeGeo = new THREE.BoxGeometry(
@@ -103,7 +420,8 @@ class GridManager {
             
             // Create material matching the UltraHDR example
             // Using MeshStandardMaterial like in the example
-            const cubeMat = new THREE.MeshStandardMaterial({ 
+            // (kept when the chunks are rebuilt so material settings survive)
+            const cubeMat = this.cpuMaterial || new THREE.MeshStandardMaterial({ 
                 color: this.config.cubeColor,
                 roughness: 0.0,         // No roughness for perfect reflections
                 metalness: 1.0,         // Full metalness for maximum reflections
@@ -116,166 +434,774 @@ class GridManager {
             
             // Calculate total cubes
             const totalCubes = this.config.gridSizeX * this.config.gridSizeZ;
-            console.log(`Creating instanced mesh for ${totalCubes} cubes...`);
+            const chunkSize = this.getChunkSize();
+            const levels = this.config.lodDistances.length; // Built even with LOD off so it can be switched on
+            this.chunksX = Math.ceil(this.config.gridSizeX / chunkSize);
+            this.chunksZ = Math.ceil(this.config.gridSizeZ / chunkSize);
+            console.log(`Creating ${this.chunksX}x${this.chunksZ} chunks for ${totalCubes} cubes...`);
             
-            // Create instanced mesh
-            this.instancedMesh = new THREE.InstancedMesh(cubeGeo, cubeMat, totalCubes);
-            this.instancedMesh.castShadow = true;
-            this.instancedMesh.receiveShadow = true;
+            this.cubeGeometry = cubeGeo;
+            this.cpuMaterial = cubeMat; // Kept so GPU displacement mode can be switched off again
             
-            // Create color buffer for visualization
-            this.instanceColors = new THREE.InstancedBufferAttribute(
-                new Float32Array(totalCubes * 3), 3
-            );
+            // Instance data for every cube, sliced per chunk. Colours start white.
+            this.matrixArray = new Float32Array(totalCubes * 16);
+            this.colorArray = new Float32Array(totalCubes * 3).fill(1);
+            this.cubeChunk = new Uint32Array(totalCubes);   // Chunk index of each cube id
             
-            // Set default color (white) for all instances
-            for (let i = 0; i < totalCubes; i++) {
-                this.instanceColors.setXYZ(i, 1, 1, 1);
-            }
+            this.gridGroup = new THREE.Group();
+            this.gridGroup.name = 'CubeGrid';
+            this.chunks = [];
             
-            this.instancedMesh.geometry.setAttribute('color', this.instanceColors);
-            this.instanceColors.needsUpdate = true;
+            // Streamed windows start centred on (gridX, gridZ); see updateStreaming
+            this._streamX0 = -Math.floor(this.chunksX / 2);
+            this._streamZ0 = -Math.floor(this.chunksZ / 2);
+            let offset = 0;
+            for (let cx = 0; cx < this.chunksX; cx++) {
+                for (let cz = 0; cz < this.chunksZ; cz++) {
+                    const ix0 = cx * chunkSize;
+                    const iz0 = cz * chunkSize;
+                    const sizeX = Math.min(chunkSize, this.config.gridSizeX - ix0);
+                    const sizeZ = Math.min(chunkSize, this.config.gridSizeZ - iz0);
+                    const count = sizeX * sizeZ;
+                    
+                    const chunk = new GridChunk(
+                        { index: this.chunks.length, ix0, iz0, sizeX, sizeZ, offset, levels },
+                        cubeGeo, cubeMat,
+                        this.matrixArray.subarray(offset * 16, (offset + count) * 16),
+                        this.colorArray.subarray(offset * 3, (offset + count) * 3)
+                    );
+                    chunk.generation = this._streamGeneration;
+                    if (this.config.streaming) {
+                        this.setChunkOrigin(chunk,
+                            this.streamChunkCoord(cx, this._streamX0, this.chunksX) * chunkSize,
+                            this.streamChunkCoord(cz, this._streamZ0, this.chunksZ) * chunkSize);
+                    } else {
+                        this.setChunkOrigin(chunk, ix0, iz0);
+                    }
+                    
+                    this.cubeChunk.fill(chunk.index, offset, offset + count);
+                    chunk.meshes.forEach(mesh => this.gridGroup.add(mesh));
+                    this.chunks.push(chunk);
+                    offset += count;
+                }
+            }
             
             // Add to scene
-            this.scene.add(this.instancedMesh);
-            console.log('Instanced mesh added to scene successfully');
+            this.scene.add(this.gridGroup);
+            console.log(`${this.chunks.length} grid chunks added to scene successfully`);
         } catch (error) {
-            console.error('Error creating instanced mesh:', error);
+            console.error('Error creating chunk meshes:', error);
+        }
+    }
+    
+    // Place a chunk's first cell at grid cell (ix0, iz0) and update its world extent
+    setChunkOrigin(chunk, ix0, iz0) {
+        const origin = this.getLatticeOrigin();
+        const spacing = this.config.spacing;
+        chunk.ix0 = ix0;
+        chunk.iz0 = iz0;
+        chunk.minX = origin.x + ix0 * spacing;
+        chunk.maxX = origin.x + (ix0 + chunk.sizeX - 1) * spacing;
+        chunk.minZ = origin.z + iz0 * spacing;
+        chunk.maxZ = origin.z + (iz0 + chunk.sizeZ - 1) * spacing;
+    }
+    
+    // Chunk coordinate held by window slot `slot` when the window starts at chunk `start`:
+    // the one coordinate in start..start+count-1 that is congruent to the slot
+    streamChunkCoord(slot, start, count) {
+        return start + (((slot - start) % count) + count) % count;
+    }
+    
+    // Where the streamed window is centred: ahead of the player along the camera path
+    getStreamFocus() {
+        const player = this.effectors.find(e => e.id === 'player');
+        const position = player && player.position ? player.position : this.getLODViewerPosition();
+        if (!position) return null;
+        
+        const focus = { x: position.x, z: position.z };
+        const path = this.config.cameraPath;
+        if (path && path.getTangentAt && this.config.streamLead > 0) {
+            const tangent = path.getTangentAt(Math.min(1, Math.max(0, this.progress)));
+            const length = Math.sqrt(tangent.x * tangent.x + tangent.z * tangent.z);
+            if (length > 1e-6) {
+                // Half a window times streamLead puts that share of the window ahead of the player
+                const lead = this.config.streamLead * this.chunksX * this.getChunkSize() * this.config.spacing / 2;
+                focus.x += tangent.x / length * lead;
+                focus.z += tangent.z / length * lead;
+            }
+        }
+        return focus;
+    }
+    
+    // First chunk coordinates {x0, z0} of the window centred on the stream focus (null without one)
+    getStreamWindow() {
+        const focus = this.getStreamFocus();
+        if (!focus) return null;
+        
+        const origin = this.getLatticeOrigin();
+        const chunkWorld = this.getChunkSize() * this.config.spacing;
+        return {
+            x0: Math.floor((focus.x - origin.x) / chunkWorld + 0.5) - Math.floor(this.chunksX / 2),
+            z0: Math.floor((focus.z - origin.z) / chunkWorld + 0.5) - Math.floor(this.chunksZ / 2)
+        };
+    }
+    
+    // Move the streamed window over the focus point. Chunks whose place fell out of the window are
+    // recycled into the slot's new place on the opposite side - ahead, as the player moves along.
+    // Cube ids stay with their slot, so the wrapping lattice index never needs updating.
+    updateStreaming() {
+        if (!this.config.streaming) return;
+        
+        const streamWindow = this.getStreamWindow();
+        if (!streamWindow) return;
+        
+        const { x0, z0 } = streamWindow;
+        const chunkSize = this.getChunkSize();
+        if (x0 === this._streamX0 && z0 === this._streamZ0) return;
+        
+        this._streamX0 = x0;
+        this._streamZ0 = z0;
+        this._streamGeneration++;
+        
+        const recycled = [];
+        for (const chunk of this.chunks) {
+            const ix0 = this.streamChunkCoord(Math.floor(chunk.index / this.chunksZ), x0, this.chunksX) * chunkSize;
+            const iz0 = this.streamChunkCoord(chunk.index % this.chunksZ, z0, this.chunksZ) * chunkSize;
+            if (ix0 === chunk.ix0 && iz0 === chunk.iz0) continue;
+            
+            this.recycleChunk(chunk, ix0, iz0);
+            recycled.push(chunk);
+        }
+        
+        // The debug quadtree covered the old window
+        this._debugQuadTree = null;
+        if (this.config.showQuadTreeDepth) this.colorCubesByQuadTreeDepth();
+        if (this.quadTreeOverlay) this.quadTreeOverlay.setQuadTree(this.getQuadTree());
+        
+        // Recycled cubes start at rest - solve the ones already under an effector straight onto
+        // their pose so they don't rise out of the ground. The GPU shader places them by itself.
+        if (this.config.displacementMode !== 'gpu') {
+            this.seedRecycledCubes(recycled);
+        }
+        
+        console.log(`Streamed ${recycled.length} grid chunks, window now starts at chunk (${x0}, ${z0})`);
+    }
+    
+    // Move a chunk to a new place in the streamed window and reset its cubes to rest there.
+    // The masks cover different cells there, so the chunk's cubes leave the index and come back
+    // renumbered for the new place.
+    recycleChunk(chunk, ix0, iz0) {
+        const masking = this.config.masks.length > 0;
+        const coloring = this.isColorModeActive();
+        if (masking) {
+            for (let i = chunk.offset; i < chunk.offset + chunk.visibleCount; i++) {
+                this.spatialIndex.remove(i);
+            }
+        }
+        
+        this.setChunkOrigin(chunk, ix0, iz0);
+        chunk.generation = this._streamGeneration;
+        if (masking) this.applyChunkMask(chunk);
+        
+        const origin = this.getLatticeOrigin();
+        const spacing = this.config.spacing;
+        for (let lx = 0; lx < chunk.sizeX; lx++) {
+            for (let lz = 0; lz < chunk.sizeZ; lz++) {
+                const i = chunk.cubeIndex(lx, lz);
+                this.initCube(i, origin.x + (ix0 + lx) * spacing, origin.z + (iz0 + lz) * spacing);
+                this.displacedCubes.delete(i);
+                this.writeCubeMatrix(i);
+                if (coloring) this.writeCubeColor(i);
+                if (masking && !chunk.isCellMasked(lx, lz)) this.spatialIndex.insert(i);
+            }
+        }
+        this.updateChunkRestHeight(chunk);
+    }
+    
+    // Gather the range of rest heights the chunk's drawn cubes sit at, for LOD distances
+    updateChunkRestHeight(chunk) {
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (let i = chunk.offset; i < chunk.offset + chunk.visibleCount; i++) {
+            const y = this.cubeBaseY[i];
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+        if (minY > maxY) minY = maxY = this.config.baseHeight;
+        chunk.minRestY = minY;
+        chunk.maxRestY = maxY;
+    }
+    
+    // Solve recycled cubes near the player or an effector straight onto their current pose
+    seedRecycledCubes(chunks) {
+        const reach = this.config.cullingDistance || 120;
+        const sources = [];
+        for (const effector of this.effectors) {
+            if (!effector.active || !effector.position) continue;
+            const radius = effector.id === 'player' ? reach : this.getEffectorReach(effector) * 1.2;
+            sources.push(effector.position.x, effector.position.z, radius);
+        }
+        
+        const seeds = [];
+        for (const chunk of chunks) {
+            for (let i = chunk.offset; i < chunk.offset + chunk.visibleCount; i++) {
+                for (let s = 0; s < sources.length; s += 3) {
+                    const dx = this.cubeX[i] - sources[s];
+                    const dz = this.cubeZ[i] - sources[s + 1];
+                    if (dx * dx + dz * dz <= sources[s + 2] * sources[s + 2]) {
+                        seeds.push(i);
+                        break;
+                    }
+                }
+            }
+        }
+        
+        if (seeds.length > 0) this.processCubesSync(seeds, true);
+    }
+    
+    // Rest height at (x, z): the height source's sample, or baseHeight where it has none
+    sampleBaseHeight(x, z) {
+        const source = this.config.heightSource;
+        if (!source) return this.config.baseHeight;
+        
+        const height = source.sample(x, z);
+        return height === null || !Number.isFinite(height) ? this.config.baseHeight : height;
+    }
+    
+    // Switch where rest heights come from and rebuild the grid on them
+    setHeightSource(source, onProgress) {
+        this.config.heightSource = source || null;
+        console.log(`Grid height source set to ${source ? source.constructor.name : 'flat baseHeight'}`);
+        this.createGrid(onProgress);
+    }
+    
+    // Switch the grid masks and rebuild the grid without the cells they cover
+    setMasks(masks, onProgress) {
+        this.config.masks = masks ? masks.filter(Boolean) : [];
+        console.log(`Grid masks set: ${this.config.masks.map(mask => mask.constructor.name).join(', ') || 'none'}`);
+        this.createGrid(onProgress);
+    }
+    
+    // Leave the cells any mask contains out of a chunk, renumbering its cubes (see GridChunk.applyMask)
+    applyChunkMask(chunk) {
+        const masks = this.config.masks;
+        if (masks.length === 0) {
+            chunk.applyMask(null);
+            return;
+        }
+        
+        if (!this._maskScratch || this._maskScratch.length < chunk.count) {
+            this._maskScratch = new Uint8Array(chunk.count);
+        }
+        const masked = this._maskScratch;
+        const origin = this.getLatticeOrigin();
+        const spacing = this.config.spacing;
+        for (let lx = 0; lx < chunk.sizeX; lx++) {
+            for (let lz = 0; lz < chunk.sizeZ; lz++) {
+                const x = origin.x + (chunk.ix0 + lx) * spacing;
+                const z = origin.z + (chunk.iz0 + lz) * spacing;
+                masked[lx * chunk.sizeZ + lz] = masks.some(mask => mask.contains(x, z)) ? 1 : 0;
+            }
+        }
+        chunk.applyMask(masked);
+    }
+    
+    // Whether cube i is masked out - it keeps its data but is neither drawn nor indexed
+    isCubeMasked(i) {
+        const chunk = this.chunks[this.cubeChunk[i]];
+        return i - chunk.offset >= chunk.visibleCount;
+    }
+    
+    // Put cube i at rest at (x, z)
+    initCube(i, x, z) {
+        const baseY = this.sampleBaseHeight(x, z);
+        const initialScale = this.config.initialScale;
+        this.cubeX[i] = x;
+        this.cubeZ[i] = z;
+        this.cubeBaseY[i] = baseY;
+        this.cubeY[i] = baseY;
+        this.cubeScale[i] = initialScale;
+        this.cubeVelocity[i] = 0;
+        this.cubeScaleVelocity[i] = 0;
+        this.cubeLastStep[i] = this.elapsed;
+        this.cubeRelaxStart[i] = -1;
+        this.cubeRelaxFromY[i] = baseY;
+        this.cubeRelaxFromScale[i] = initialScale;
+    }
+    
+    // Switch between the fixed grid and the streamed window of chunks, rebuilding the grid
+    setStreaming(enabled, onProgress) {
+        if (this.config.streaming === !!enabled) return;
+        
+        this.config.streaming = !!enabled;
+        this.applyGridLayout();
+        this._streamGeneration++;
+        
+        this.disposeChunkMeshes();
+        this.allocateCubeStorage(this.config.gridSizeX * this.config.gridSizeZ);
+        this.createChunkMeshes();
+        this.initSpatialIndex();
+        
+        console.log(`Grid streaming ${this.config.streaming ? 'enabled' : 'disabled'}`);
+        this.createGrid(onProgress);
+    }
+    
+    // Remove the chunk meshes from the scene and free their geometry
+    disposeChunkMeshes() {
+        if (!this.chunks) return;
+        
+        for (const chunk of this.chunks) {
+            chunk.dispose();
+        }
+        this.chunks = [];
+        if (this.gridGroup) this.scene.remove(this.gridGroup);
+        if (this.cubeGeometry) this.cubeGeometry.dispose();
+    }
+    
+    // Material the cubes are currently drawn with (CPU or GPU displacement)
+    getCubeMaterial() {
+        return this.config.displacementMode === 'gpu' && this.gpuMaterial ? this.gpuMaterial : this.cpuMaterial;
+    }
+    
+    // Set cube i's instance colour (call markColorsDirty once done)
+    setCubeColor(i, r, g, b) {
+        const o = i * 3;
+        this.colorArray[o] = r;
+        this.colorArray[o + 1] = g;
+        this.colorArray[o + 2] = b;
+    }
+    
+    // Upload changed cube colours and re-average the merged LOD blocks
+    markColorsDirty() {
+        for (const chunk of this.chunks) {
+            chunk.invalidateColors();
+        }
+    }
+    
+    // Mark every chunk's instance matrices as changed
+    markAllChunksDirty() {
+        for (const chunk of this.chunks) {
+            chunk.dirty = true;
+        }
+    }
+    
+    // Configure the colour mode: { mode, ramp, strength, range } - any subset (see config.colorMode).
+    // Recolours every cube straight away.
+    setColorParameters(options = {}) {
+        if (options.mode !== undefined) {
+            if (GridManager.COLOR_MODES.indexOf(options.mode) === -1) {
+                console.error(`Unknown colour mode: ${options.mode}`);
+                return false;
+            }
+            this.config.colorMode = options.mode;
+        }
+        if (options.ramp !== undefined) {
+            this.config.colorRamp = options.ramp;
+            this.colorRamp = options.ramp instanceof GridColorRamp ? options.ramp : new GridColorRamp(options.ramp);
+        }
+        if (options.strength !== undefined) this.config.colorStrength = Math.min(1, Math.max(0, options.strength));
+        if (options.range !== undefined) this.config.colorRange = Math.max(0.01, options.range);
+        
+        if (this.config.colorMode === 'effector') this.resolveColorSources();
+        this.recolorCubes();
+        console.log(`Grid colour mode: ${this.config.colorMode}, ramp ${this.colorRamp.name}, strength ${this.config.colorStrength}`);
+        return true;
+    }
+    
+    // Whether update writes cube colours - the quadtree depth colours take precedence while shown
+    isColorModeActive() {
+        return this.config.colorMode !== 'none' && !this.config.showQuadTreeDepth;
+    }
+    
+    // Rewrite every cube's colour for the current colour mode, or back to plain cubeColor with it off.
+    // The materials turn white while a mode is on so the instance colours show unmultiplied.
+    recolorCubes() {
+        // The quadtree depth colours stay until they are switched off (which calls this again)
+        if (!this.chunks || this.config.showQuadTreeDepth) return;
+        
+        const active = this.isColorModeActive();
+        this._baseColor.set(this.config.cubeColor);
+        for (const material of [this.cpuMaterial, this.gpuMaterial]) {
+            if (material) material.color.set(active ? 0xffffff : this.config.cubeColor);
+        }
+        
+        for (let i = 0; i < this.cubeCount; i++) {
+            if (active) {
+                this.writeCubeColor(i);
+            } else {
+                this.setCubeColor(i, 1, 1, 1);
+            }
+        }
+        this.markColorsDirty();
+    }
+    
+    // Colour cube i from the ramp by its raise or scale, tinted toward the nearest effector in
+    // 'effector' mode, then blended over cubeColor by colorStrength
+    writeCubeColor(i) {
+        const config = this.config;
+        const rgb = this._colorScratch;
+        
+        let t;
+        if (config.colorMode === 'scale') {
+            const range = config.maxScale - config.initialScale;
+            t = range > 0 ? (this.cubeScale[i] - config.initialScale) / range : 0;
+        } else {
+            t = (this.cubeY[i] - this.cubeBaseY[i]) / config.colorRange;
+        }
+        this.colorRamp.sample(t, rgb);
+        
+        if (config.colorMode === 'effector') {
+            // Nearest effector relative to its reach - the tint grows toward its centre and with the raise
+            const sources = this._colorSources;
+            let nearest = -1;
+            let nearestDistance = 1;
+            for (let s = 0; s < sources.length; s += 6) {
+                const dx = this.cubeX[i] - sources[s];
+                const dz = this.cubeZ[i] - sources[s + 1];
+                const distance = Math.sqrt(dx * dx + dz * dz) / sources[s + 2];
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = s;
+                }
+            }
+            
+            if (nearest >= 0) {
+                const tint = (1 - nearestDistance) * Math.min(1, Math.max(0, t));
+                rgb[0] += (sources[nearest + 3] - rgb[0]) * tint;
+                rgb[1] += (sources[nearest + 4] - rgb[1]) * tint;
+                rgb[2] += (sources[nearest + 5] - rgb[2]) * tint;
+            }
+        }
+        
+        const base = this._baseColor;
+        const strength = config.colorStrength;
+        this.setCubeColor(i,
+            base.r + (rgb[0] - base.r) * strength,
+            base.g + (rgb[1] - base.g) * strength,
+            base.b + (rgb[2] - base.b) * strength);
+        this.chunks[this.cubeChunk[i]].colorsChanged = true;
+    }
+    
+    // Collect the effectors cubes take their tint from in 'effector' colour mode. The player raises
+    // cubes wherever it goes, so the tint comes from the effectors it approaches instead.
+    resolveColorSources() {
+        const sources = this._colorSources;
+        const tint = this._tint || (this._tint = new THREE.Color());
+        sources.length = 0;
+        
+        for (const effector of this.effectors) {
+            if (!effector.active || !effector.position || effector.id === 'player' || effector.color === undefined) continue;
+            
+            const reach = this._effectorReach && this._effectorReach[effector.id] || effector.radius || 100;
+            tint.set(effector.color);
+            sources.push(effector.position.x, effector.position.z, reach, tint.r, tint.g, tint.b);
+        }
+    }
+    
+    // Configure the distance LOD: { enabled, distances, morphRange } - any subset.
+    // distances are the viewer distances for 2x2, 4x4, ... merged blocks and must keep their count.
+    setLODParameters(options = {}) {
+        if (options.enabled !== undefined) this.config.lodEnabled = !!options.enabled;
+        if (options.morphRange !== undefined) {
+            this.config.lodMorphRange = Math.min(0.9, Math.max(0.01, options.morphRange));
+        }
+        if (options.distances !== undefined) {
+            // Each level has to start beyond the previous one
+            const distances = options.distances.slice(0, this.config.lodDistances.length);
+            for (let k = 1; k < distances.length; k++) {
+                distances[k] = Math.max(distances[k], distances[k - 1] + 1);
+            }
+            this.config.lodDistances.splice(0, distances.length, ...distances);
+        }
+        
+        // Morphs depend on every setting - rewrite them on the next update
+        this._lodViewer = null;
+        this.markAllChunksDirty();
+    }
+    
+    // Object whose position drives the level of detail (normally the camera)
+    setLODViewer(viewer) {
+        this.lodViewer = viewer;
+    }
+    
+    // Where LOD distances are measured from: the LOD viewer, else the player effector
+    getLODViewerPosition() {
+        if (this.lodViewer) return this.lodViewer.position;
+        const player = this.effectors.find(e => e.id === 'player');
+        return player && player.position ? player.position : null;
+    }
+    
+    // How far (0-1) a block centred at (x, z), resting at height y, has morphed from level into
+    // level + 1. Blocks slide into their merged block over the last lodMorphRange of the distance
+    // before each LOD threshold.
+    getLODMorph(x, y, z, level) {
+        const viewer = this._lodViewer;
+        if (!viewer || level >= this.config.lodDistances.length) return 0;
+        
+        const distance = this.config.lodDistances[level];
+        const range = distance * this.config.lodMorphRange;
+        const dx = x - viewer.x;
+        const dy = y - viewer.y;
+        const dz = z - viewer.z;
+        const d = Math.sqrt(dx*dx + dy*dy + dz*dz);
+        return Math.min(1, Math.max(0, (d - (distance - range)) / range));
+    }
+    
+    // Pick each chunk's level from its distance to the viewer and upload whatever changed. A chunk
+    // drops a level once its nearest point passes the next LOD distance; by then getLODMorph has
+    // slid every block all the way into its merged block, so the swap doesn't pop.
+    updateChunks() {
+        const viewer = this.config.lodEnabled ? this.getLODViewerPosition() : null;
+        const distances = this.config.lodDistances;
+        
+        // Morphs only change when the viewer moves
+        let moved = false;
+        if (viewer) {
+            const last = this._lodViewer || (this._lodViewer = new THREE.Vector3(Infinity, 0, 0));
+            moved = last.distanceToSquared(viewer) > 1e-6;
+            if (moved) last.copy(viewer);
+        }
+        
+        // Chunk bounds only need growing when the GPU shader displaces cubes past their matrices
+        const padding = this.getBoundsPadding();
+        
+        const chunksByLevel = this.updateStats.chunksByLevel;
+        chunksByLevel.length = 0;
+        for (const chunk of this.chunks) {
+            let level = 0;
+            let morphing = false;
+            
+            // Upload colours the colour mode wrote this frame
+            if (chunk.colorsChanged) {
+                chunk.invalidateColors();
+                chunk.colorsChanged = false;
+            }
+            
+            if (viewer && chunk.levels > 0) {
+                // Nearest and farthest points of the chunk from the viewer
+                const nx = Math.max(chunk.minX - viewer.x, 0, viewer.x - chunk.maxX);
+                const nz = Math.max(chunk.minZ - viewer.z, 0, viewer.z - chunk.maxZ);
+                const fx = Math.max(viewer.x - chunk.minX, chunk.maxX - viewer.x);
+                const fz = Math.max(viewer.z - chunk.minZ, chunk.maxZ - viewer.z);
+                // Vertically, measured to the heights the chunk's cubes rest at
+                const ny = Math.max(chunk.minRestY - viewer.y, 0, viewer.y - chunk.maxRestY);
+                const fy = Math.max(viewer.y - chunk.minRestY, chunk.maxRestY - viewer.y);
+                const near = Math.sqrt(nx*nx + ny*ny + nz*nz);
+                const far = Math.sqrt(fx*fx + fy*fy + fz*fz);
+                
+                while (level < chunk.levels && near >= distances[level]) level++;
+                morphing = level < chunk.levels && far > distances[level] * (1 - this.config.lodMorphRange);
+            }
+            
+            chunk.setLevel(level);
+            chunksByLevel[level] = (chunksByLevel[level] || 0) + 1;
+            
+            if (level > 0 || morphing || chunk.fineMorphed) {
+                // Merged or morphing levels are rebuilt from the cube arrays
+                if (chunk.dirty || (morphing && moved) || morphing !== chunk.morphing) {
+                    chunk.writeLevel(this, level, morphing);
+                }
+            } else if (chunk.dirty) {
+                // Full detail: writeCubeMatrix and the workers already wrote the matrices
+                chunk.meshes[0].instanceMatrix.needsUpdate = true;
+            }
+            
+            // Keep the culling bounds around raised cubes
+            if (chunk.dirty) chunk.updateBounds();
+            if (chunk.dirty || padding.changed) chunk.applyBounds(padding);
+            
+            chunk.morphing = morphing;
+            chunk.dirty = false;
         }
     }
     
+    // How far GPU displacement can move cubes past their rest matrices: {up, down, scale, changed}.
+    // Zero in CPU mode, where the matrices already hold the displaced poses.
+    getBoundsPadding() {
+        const padding = this._boundsPadding || (this._boundsPadding = { up: 0, down: 0, scale: 1, changed: false });
+        let up = 0;
+        let down = 0;
+        let scale = 1;
+        
+        if (this.config.displacementMode === 'gpu') {
+            for (const effector of this._resolvedEffectors || []) {
+                up += Math.max(0, effector.maxRaise);
+                down += Math.max(0, -effector.maxRaise);
+                scale = Math.max(scale, effector.maxScale / this.config.initialScale);
+            }
+            if (this.config.capPolicy !== 'none' && this.config.raiseCap > 0) {
+                up = Math.min(up, this.config.raiseCap);
+            }
+            if (this._cachedSplinePoint) up += this.config.splineHeight;
+            up += this.noiseAmplitude;
+            down += this.noiseAmplitude;
+        }
+        
+        padding.changed = up !== padding.up || down !== padding.down || scale !== padding.scale;
+        padding.up = up;
+        padding.down = down;
+        padding.scale = scale;
+        return padding;
+    }
+    
     // Create the grid of cubes with progress callback
     createGrid(onProgress) {
         this.ready = false;
         console.log('Starting grid creation with GridManager...');
         
         try {
-            // Check if instanced mesh was created properly
-            if (!this.instancedMesh) {
-                console.error('Instanced mesh is not defined - recreating');
-                this.createInstancedMesh();
+            // Check if the chunk meshes were created properly
+            if (!this.chunks || this.chunks.length === 0) {
+                console.error('Chunk meshes are not defined - recreating');
+                this.createChunkMeshes();
                 
                 // If still not created, can't proceed
-                if (!this.instancedMesh) {
-                    console.error('Failed to create instanced mesh, cannot generate grid');
+                if (!this.chunks || this.chunks.length === 0) {
+                    console.error('Failed to create chunk meshes, cannot generate grid');
                     if (onProgress) onProgress(1.0); // Signal completion despite error
                     return;
                 }
             }
             
-            // Grid calculations
-            const halfX = (this.config.gridSizeX - 1) * this.config.spacing / 2;
-            const halfZ = (this.config.gridSizeZ - 1) * this.config.spacing / 2;
-            const dummy = new THREE.Object3D();
-            
             let cubesCreated = 0;
             const totalCubes = this.config.gridSizeX * this.config.gridSizeZ;
             console.log(`Creating grid of ${this.config.gridSizeX}x${this.config.gridSizeZ} = ${totalCubes} cubes`);
             
-            // Create a single matrix update buffer for better performance
-            // This avoids updating the instance matrix for every cube
-            const matrices = [];
-            const cubeData = [];
-            
-            // Pre-allocate all cube data at once instead of in batches
-            // This is much faster than creating cubes in small batches
-            console.time('Grid data generation');
+            if (this.cubeX.length !== totalCubes) {
+                // The grid size changed since construction - rebuild everything sized by it
+                this.disposeChunkMeshes();
+                this.allocateCubeStorage(totalCubes);
+                this.createChunkMeshes();
+                this.initSpatialIndex();
+            }
+            this.cubeCount = 0;
+            this.spatialIndex.clear();
+            this._debugQuadTree = null;
+            this.displacedCubes.clear();
             
-            // Create all cube data in a single pass
-            for (let ix = 0; ix < this.config.gridSizeX; ix++) {
-                for (let iz = 0; iz < this.config.gridSizeZ; iz++) {
-                    // Calculate position
-                    const px = ix * this.config.spacing - halfX + this.config.gridX;
-                    const pz = iz * this.config.spacing - halfZ + this.config.gridZ;
-                    let baseY = this.config.baseHeight;
-                    
-                    // Create cube data
-                    const key = `${ix}_${iz}`;
-                    const currentIndex = cubesCreated;
-                    const cube = { 
-                        x: px, 
-                        z: pz, 
-                        baseY, 
-                        y: baseY,
-                        i: currentIndex, 
-                        key,
-                        scale: this.config.initialScale,
-                        velocity: 0,
-                        acceleration: 0,
-                        noise: 0
-                    };
-                    
-                    // Store cube data
-                    this.cubes[key] = cube;
-                    cubeData.push(cube);
-                    
-                    // Create matrix
-                    dummy.position.set(px, baseY, pz);
-                    dummy.scale.set(this.config.initialScale, this.config.initialScale, this.config.initialScale);
-                    dummy.updateMatrix();
-                    
-                    // Store matrix
-                    matrices.push(dummy.matrix.clone());
-                    
-                    // Update counter
-                    cubesCreated++;
-                    
-                    // Report progress periodically
-                    if (cubesCreated % 1000 === 0 && onProgress) {
-                        const progress = Math.min(cubesCreated / totalCubes * 0.5, 0.5); // First 50%
-                        onProgress(progress);
-                    }
+            // Start a streamed window where the player already is rather than at the grid origin
+            const streamWindow = this.config.streaming ? this.getStreamWindow() : null;
+            if (streamWindow) {
+                this._streamX0 = streamWindow.x0;
+                this._streamZ0 = streamWindow.z0;
+                const chunkSize = this.getChunkSize();
+                for (const chunk of this.chunks) {
+                    this.setChunkOrigin(chunk,
+                        this.streamChunkCoord(Math.floor(chunk.index / this.chunksZ), streamWindow.x0, this.chunksX) * chunkSize,
+                        this.streamChunkCoord(chunk.index % this.chunksZ, streamWindow.z0, this.chunksZ) * chunkSize);
                 }
             }
-            console.timeEnd('Grid data generation');
             
-            // Now insert all cubes into the quadtree at once
-            console.time('Quadtree insertion');
-            if (onProgress) onProgress(0.6); // 60%
+            // Masks renumber each chunk's cubes, so worker results still in flight are stale
+            this._streamGeneration++;
+            
+            // Rest heights come from the height source and masks, which may be slow (raycasts), so
+            // cube data is filled chunk by chunk in time-sliced batches that report progress as they go
+            const buildId = ++this._buildId;
+            const origin = this.getLatticeOrigin();
+            if (this.config.heightSource) this.config.heightSource.prepare();
+            this.config.masks.forEach(mask => mask.prepare());
+            let cubesMasked = 0;
+            console.time('Grid data generation');
             
-            // Insert cubes into quadtree in batches to avoid blocking the main thread
-            const insertQuadtreeBatch = (startIdx, batchSize) => {
-                const endIdx = Math.min(startIdx + batchSize, cubeData.length);
+            // Insert cubes into the spatial index in batches to avoid blocking the main thread
+            const insertIndexBatch = (startIdx, batchSize) => {
+                // A newer createGrid call took over
+                if (buildId !== this._buildId) return;
+                
+                const endIdx = Math.min(startIdx + batchSize, cubesCreated);
                 
                 for (let i = startIdx; i < endIdx; i++) {
-                    this.quadTree.insert(cubeData[i]);
+                    if (!this.isCubeMasked(i)) this.spatialIndex.insert(i);
                 }
                 
-                if (endIdx < cubeData.length) {
+                if (endIdx < cubesCreated) {
                     // Report progress
                     if (onProgress) {
-                        const progress = 0.6 + (endIdx / cubeData.length) * 0.2; // 60-80%
+                        const progress = 0.6 + (endIdx / cubesCreated) * 0.2; // 60-80%
                         onProgress(progress);
                     }
                     
                     // Continue with next batch
-                    setTimeout(() => insertQuadtreeBatch(endIdx, batchSize), 0);
+                    setTimeout(() => insertIndexBatch(endIdx, batchSize), 0);
                 } else {
-                    // All cubes inserted into quadtree
-                    console.timeEnd('Quadtree insertion');
+                    // All cubes inserted into the spatial index
+                    console.timeEnd('Spatial index insertion');
                     
                     // Now update the instance matrices
                     console.time('Matrix updates');
                     if (onProgress) onProgress(0.8); // 80%
                     
-                    // Update all matrices at once
-                    for (let i = 0; i < matrices.length; i++) {
-                        this.instancedMesh.setMatrixAt(i, matrices[i]);
+                    // Write all matrices straight from the cube arrays
+                    for (let i = 0; i < cubesCreated; i++) {
+                        this.writeCubeMatrix(i);
                     }
+                    if (this.isColorModeActive()) this.recolorCubes();
                     
-                    // Mark instance matrix as needing update only once
-                    this.instancedMesh.instanceMatrix.needsUpdate = true;
+                    // Upload every chunk's matrices once
+                    this.markAllChunksDirty();
+                    this.updateChunks();
                     console.timeEnd('Matrix updates');
                     
+                    // Draw the finished tree if the overlay was switched on while loading
+                    if (this.quadTreeOverlay) {
+                        this.quadTreeOverlay.setQuadTree(this.getQuadTree());
+                    }
+                    
+                    // Swap in the displacement shader now that every cube sits at rest
+                    if (this.config.displacementMode === 'gpu') {
+                        this.setDisplacementMode('gpu');
+                    }
+                    
                     // Complete
                     this.ready = true;
                     if (onProgress) onProgress(1.0); // 100% complete
-                    console.log(`Grid creation complete. Created ${cubesCreated} cubes.`);
+                    console.log(`Grid creation complete. Created ${cubesCreated} cubes, ${cubesMasked} masked out.`);
+                }
+            };
+            
+            // Fill the chunks' cube data, yielding to the browser every frameBudget milliseconds
+            const frameBudget = 12;
+            const fillCubeBatch = (chunkIdx) => {
+                if (buildId !== this._buildId) return;
+                
+                const batchStart = performance.now();
+                while (chunkIdx < this.chunks.length && performance.now() - batchStart < frameBudget) {
+                    const chunk = this.chunks[chunkIdx++];
+                    chunk.generation = this._streamGeneration;
+                    this.applyChunkMask(chunk);
+                    cubesMasked += chunk.count - chunk.visibleCount;
+                    for (let lx = 0; lx < chunk.sizeX; lx++) {
+                        for (let lz = 0; lz < chunk.sizeZ; lz++) {
+                            // Calculate position and store the cube at rest on the sampled height
+                            const px = origin.x + (chunk.ix0 + lx) * this.config.spacing;
+                            const pz = origin.z + (chunk.iz0 + lz) * this.config.spacing;
+                            this.initCube(chunk.cubeIndex(lx, lz), px, pz);
+                            cubesCreated++;
+                        }
+                    }
+                    this.updateChunkRestHeight(chunk);
                 }
+                
+                if (chunkIdx < this.chunks.length) {
+                    // Report progress - first 50%
+                    if (onProgress) onProgress(Math.min(cubesCreated / totalCubes * 0.5, 0.5));
+                    setTimeout(() => fillCubeBatch(chunkIdx), 0);
+                    return;
+                }
+                
+                this.cubeCount = cubesCreated;
+                console.timeEnd('Grid data generation');
+                
+                // Now insert all cubes into the spatial index
+                console.time('Spatial index insertion');
+                if (onProgress) onProgress(0.6); // 60%
+                
+                // Start spatial index insertion with a large batch size
+                insertIndexBatch(0, 5000);
             };
             
-            // Start quadtree insertion with a large batch size
-            insertQuadtreeBatch(0, 5000);
+            fillCubeBatch(0);
             
         } catch (error) {
             console.error('Error in grid creation:', error);
@@ -538,14 +1464,14 @@ class GridManager {
     
     // Apply spline-based height modulation
     applySplineEffect(spline, progress) {
-        if (!spline || !this.instancedMesh) return;
+        if (!spline || !this.chunks) return;
         
         this._cachedSplineHeight = null;
         this._cachedSplinePoint = null;
         
         // Get current point on spline
-        if (progress !== undefined && spline.getPoint) {
-            const pathPt = spline.getPoint(progress);
+        if (progress !== undefined && spline.getPointAt) {
+            const pathPt = spline.getPointAt(progress);
             this._cachedSplineHeight = pathPt.y;
             this._cachedSplinePoint = pathPt.clone();
             
@@ -557,13 +1483,16 @@ class GridManager {
         }
     }
     
-    // Update all cube positions/scales based on effectors and time
-    update(deltaTime) {
-        if (!this.instancedMesh || !this.ready) return;
+    // Update all cube positions/scales based on effectors and time.
+    // deltaTime is the frame time in seconds (0 while paused), progress the camera's place along
+    // the camera path as a fraction of its length (0-1, see CameraController.getPathDistance)
+    update(deltaTime, progress) {
+        if (!this.chunks || !this.ready) return;
         
-        // Update time - use a fixed time increment for consistent animation speed
-        // This makes the wave animation independent of player position
-        this.time += 0.01; // Fixed increment for consistent wave speed
+        // Advance animation time by real frame time so the speed doesn't depend on the refresh rate
+        this.time += (deltaTime || 0) * this.noiseSpeed;
+        this.elapsed += deltaTime || 0;
+        if (progress !== undefined) this.progress = progress;
         
         // Find player effector for distance-based culling
         let playerPosition = null;
@@ -585,10 +1514,6 @@ class GridManager {
         const maxUpdateDistance = this.config.cullingDistance || 120; // Units in world space
         const maxUpdateDistanceSq = maxUpdateDistance * maxUpdateDistance; // Square for faster comparison
         
-        // Find cubes that need to be processed
-        const cubesToProcess = new Set();
-        const dummy = new THREE.Object3D();
-        
         // Update visualizers only every few frames to save performance
         if (!this._frameCounter) this._frameCounter = 0;
         this._frameCounter++;
@@ -610,25 +1535,36 @@ class GridManager {
             });
         }
         
-        // If we have a player position, only query cubes near the player
-        if (playerPosition) {
-            // Query cubes around the player with the maximum update distance
-            const nearbyCubes = this.quadTree.query({
-                x: playerPosition.x,
-                z: playerPosition.z,
-                radius: maxUpdateDistance
-            });
-            
-            // Process only up to maxCubesPerFrame (limit from config)
-            // Get the max number of cubes to process from config
-            const maxCubes = this.config.maxCubesPerFrame || 1000;
+        // Flatten active effectors once per frame for the solver, the workers and the shader
+        this.resolveEffectors();
+        if (this.config.colorMode === 'effector') this.resolveColorSources();
+        
+        // Recycle streamed chunks the player left behind into the window ahead
+        this.updateStreaming();
+        
+        // In GPU mode the vertex shader animates every cube, only the uniforms need refreshing
+        if (this.config.displacementMode === 'gpu') {
+            this.updateDisplacementUniforms();
             
-            // Only process up to the maximum number of cubes without expensive sorting
-            // This is much more efficient than sorting every frame
-            const cubesToAdd = maxCubes >= nearbyCubes.length ? nearbyCubes : nearbyCubes.slice(0, maxCubes);
+            // No queries run in GPU mode - drop the last CPU frame's circles from the overlay
+            if (this._frameQueries.length > 0) {
+                this._frameQueries.length = 0;
+                this.updateQuadTreeOverlay();
+            }
             
-            // Add these cubes to the processing set
-            cubesToAdd.forEach(cube => cubesToProcess.add(cube.key));
+            // Merged LOD blocks are displaced by the shader too, only the levels need updating
+            this.updateChunks();
+            return;
+        }
+        
+        // Collect this frame's candidate cubes (instance ids, deduplicated by beginCandidates' stamp)
+        this.beginCandidates();
+        
+        // If we have a player position, only query cubes near the player
+        if (playerPosition) {
+            // Query cubes around the player with the maximum update distance.
+            // These are candidates only - scheduleCubes picks this frame's share
+            this.queryCandidates(playerPosition.x, playerPosition.z, maxUpdateDistance);
             
             // Now add additional cubes that are near active effectors (within their radius)
             for (const effector of this.effectors) {
@@ -645,28 +1581,22 @@ class GridManager {
                 const dz = effector.position.z - playerPosition.z;
                 const distSq = dx*dx + dz*dz;
                 
-                // Only process effectors that are within the player's view distance + their radius
-                if (distSq > (maxUpdateDistance + effector.radius) * (maxUpdateDistance + effector.radius)) {
+                // Only process effectors that are within the player's view distance + their reach
+                const reach = this.getEffectorReach(effector);
+                if (distSq > (maxUpdateDistance + reach) * (maxUpdateDistance + reach)) {
                     continue; // Skip effectors too far from player
                 }
                 
-                // Use the effector's radius to query cubes
-                const queryRadius = (effector.radius || 100) * 1.2;
+                // Use the effector's reach (its radius for most types) to query cubes
+                const queryRadius = reach * 1.2;
                 
-                // Query cubes around this effector
-                const nearbyCubes = this.quadTree.query({
-                    x: effector.position.x,
-                    z: effector.position.z,
-                    radius: queryRadius
-                });
+                // Query cubes around this effector (auto-deduplicates)
+                this.queryCandidates(effector.position.x, effector.position.z, queryRadius);
                 
                 // Update visualizer position if it exists
                 if (this._frameCounter % 3 === 0 && this.visualizers[effector.id]) {
                     this.visualizers[effector.id].position.copy(effector.position);
                 }
-                
-                // Add to processing set (auto-deduplicates)
-                nearbyCubes.forEach(cube => cubesToProcess.add(cube.key));
             }
         } else {
             // Fallback if no player position: process cubes near all active effectors
@@ -680,91 +1610,145 @@ class GridManager {
                 }
                 
                 // Use a larger radius to ensure we catch all affected cubes
-                const queryRadius = (effector.radius || 100) * 1.2;
+                const queryRadius = this.getEffectorReach(effector) * 1.2;
                 
-                // Query cubes around this effector
-                const nearbyCubes = this.quadTree.query({
-                    x: effector.position.x,
-                    z: effector.position.z,
-                    radius: queryRadius
-                });
-                
-                // Add to processing set (auto-deduplicates)
-                nearbyCubes.forEach(cube => cubesToProcess.add(cube.key));
+                // Query cubes around this effector (auto-deduplicates)
+                this.queryCandidates(effector.position.x, effector.position.z, queryRadius);
             }
         }
         
-        // Process each cube
-        let cubesProcessed = 0;
+        // Show which quadtree nodes this frame's queries reached
+        if (this._frameCounter % 3 === 0) {
+            this.updateQuadTreeOverlay();
+        }
         
-        for (const cubeKey of cubesToProcess) {
-            const cube = this.cubes[cubeKey];
-            if (!cube) continue;
-            cubesProcessed++;
-            
-            // Variables to track cumulative effects from all effectors
-            let totalRaise = 0;
-            let maxScale = this.config.initialScale; // Default minimum scale
+        // Only a rotating slice of the candidates is solved each frame
+        const candidateCount = this._candidateCount;
+        const scheduled = this.scheduleCubes();
+        
+        // Solve the cubes off the main thread when workers are up, otherwise right here
+        let solved = true;
+        if (this.isUsingWorkers()) {
+            solved = this.dispatchWorkerBatches(scheduled);
+        } else {
+            this.processCubesSync(scheduled);
+        }
+        this.commitSchedule(solved, candidateCount, scheduled.length);
+        
+        // Cubes that were displaced but are no longer being solved ease back to rest
+        this.relaxDisplacedCubes();
+        
+        // Upload the chunks whose cubes changed and update the level of detail
+        this.updateChunks();
+    }
+    
+    // Start a new candidate set - bumping the stamp empties the previous frame's set
+    beginCandidates() {
+        this._frameStamp = (this._frameStamp + 1) >>> 0;
+        if (this._frameStamp === 0) {
+            // Wrapped around: clear old stamps so none of them match by accident
+            this._candidateStamp.fill(0);
+            this._frameStamp = 1;
+        }
+        this._candidateCount = 0;
+        this._frameQueries.length = 0;
+    }
+    
+    // Add every cube within radius of (x, z) to this frame's candidates
+    queryCandidates(x, z, radius) {
+        const found = this._queryResults;
+        found.length = 0;
+        this.spatialIndex.query({ x, z, radius }, found);
+        this._frameQueries.push(x, z, radius);
+        
+        const stamp = this._frameStamp;
+        for (let k = 0; k < found.length; k++) {
+            const i = found[k];
+            if (this._candidateStamp[i] === stamp) continue;
+            this._candidateStamp[i] = stamp;
+            this._candidates[this._candidateCount++] = i;
+        }
+    }
+    
+    // Whether cube i was collected as a candidate this frame
+    isCandidate(i) {
+        return this._candidateStamp[i] === this._frameStamp;
+    }
+    
+    // Pick this frame's share of the candidate cubes. Candidates are ordered by instance index and
+    // visited round-robin from where the previous frame stopped, so every cube near the player or an
+    // effector is solved at least once per updateInterval frames (or more if maxCubesPerFrame is lower).
+    // Returns instance ids in a reused buffer, valid until the next call.
+    scheduleCubes() {
+        const count = this._candidateCount;
+        const sorted = this._candidates.subarray(0, count).sort();
+        
+        const interval = Math.max(1, Math.round(this.config.updateInterval || 1));
+        const maxCubes = this.config.maxCubesPerFrame || count;
+        const budget = Math.min(count, Math.ceil(count / interval), maxCubes);
+        
+        // First candidate after the cursor (binary search), wrapping around to the start
+        let lo = 0;
+        let hi = count;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] <= this._scheduleCursor) lo = mid + 1;
+            else hi = mid;
+        }
+        
+        const scheduled = this._scheduled.subarray(0, budget);
+        for (let k = 0; k < budget; k++) {
+            scheduled[k] = sorted[(lo + k) % count];
+        }
+        
+        // Only moved forward once the slice is actually solved (see commitSchedule)
+        this._pendingCursor = budget > 0 ? sorted[(lo + budget - 1) % count] : this._scheduleCursor;
+        this._scheduleBudget = budget;
+        return scheduled;
+    }
+    
+    // Advance the round-robin cursor and record this frame's stats.
+    // A frame the workers had to skip leaves the cursor alone so no cube loses its turn.
+    commitSchedule(solved, candidates, scheduled) {
+        if (solved) this._scheduleCursor = this._pendingCursor;
+        
+        const stats = this.updateStats;
+        stats.candidates = candidates;
+        stats.processed = solved ? scheduled : 0;
+        stats.skipped = candidates - stats.processed;
+        stats.framesPerCycle = this._scheduleBudget > 0 ? Math.ceil(candidates / this._scheduleBudget) : 0;
+    }
+    
+    // How many cubes were processed and skipped in the last update
+    getUpdateStats() {
+        return Object.assign({}, this.updateStats);
+    }
+    
+    // Solve effector/spline/noise influence for the given cube instance ids on the main thread.
+    // With snap the cubes are placed straight on their targets even when springs are on.
+    processCubesSync(indices, snap = false) {
+        const effectors = this._resolvedEffectors;
+        const effect = [0, 0];
+        const capPolicy = GridEffectors.capPolicyId(this.config.capPolicy);
+        const coloring = this.isColorModeActive();
+        
+        // Process each cube
+        for (let k = 0; k < indices.length; k++) {
+            const i = indices[k];
+            const x = this.cubeX[i];
+            const z = this.cubeZ[i];
+            const baseY = this.cubeBaseY[i];
             
-            // Process each effector's influence on this cube
-            for (const effector of this.effectors) {
-                // Skip inactive effectors
-                if (!effector.active) continue;
-                
-                // Calculate distance from cube to effector
-                const dx = cube.x - effector.position.x;
-                const dz = cube.z - effector.position.z;
-                const distSq = dx*dx + dz*dz;
-                const dist = Math.sqrt(distSq);
-                
-                // Skip if too far away
-                if (dist > (effector.radius || 100)) continue;
-                
-                // Calculate falloff factor (0-1, higher closer to effector)
-                // Using a more gentle falloff curve
-                const distRatio = dist / (effector.radius || 100);
-                // Using a cubic falloff for more gradual transition
-                const falloff = Math.max(0, 1 - (distRatio * distRatio * distRatio));
-                
-                // Skip if negligible effect
-                if (falloff < 0.005) continue;
-                
-                // Calculate height effect with a gentler easing function
-                // Using a quintic easing (power of 5) for an even more gradual effect
-                const gentleEasing = falloff * falloff * falloff * falloff * falloff;
-                const raise = (effector.maxRaise || this.config.effectorHeight) * gentleEasing;
-                
-                // Calculate scale effect (closer = larger)
-                let scaleFactor = this.config.initialScale;
-                
-                // Extend the scale effect to a larger radius (1.5x the normal radius)
-                const scaleRadius = (effector.radius || 100) * 1.5;
-                
-                if (dist < scaleRadius) {
-                    // Calculate the ratio based on the extended scale radius
-                    const scaleRatio = dist / scaleRadius;
-                    const t = 1 - scaleRatio;
-                    
-                    // Use a more gradual falloff for scale effect
-                    // This keeps more tiles at larger scale before falling off
-                    const smoothT = Math.pow(t, 2); // Quadratic falloff for gentler transition
-                    
-                    const maxEffectorScale = effector.maxScale || this.config.maxScale;
-                    scaleFactor = this.config.initialScale + 
-                                  smoothT * (maxEffectorScale - this.config.initialScale);
-                }
-                
-                // Add this effector's contribution
-                totalRaise += raise;
-                
-                // Use max scale from any effector
-                maxScale = Math.max(maxScale, scaleFactor);
-            }
+            // Combine every effector's influence through the shared type registry
+            GridEffectors.evaluate(effect, x, z, baseY, effectors, this.time,
+                                   this.config.initialScale, this.config.raiseCap, capPolicy);
+            let totalRaise = effect[0];
+            const maxScale = effect[1];
             
             // Apply spline effect if available
             if (this._cachedSplinePoint) {
-                const dx = cube.x - this._cachedSplinePoint.x;
-                const dz = cube.z - this._cachedSplinePoint.z;
+                const dx = x - this._cachedSplinePoint.x;
+                const dz = z - this._cachedSplinePoint.z;
                 const distSq = dx*dx + dz*dz;
                 
                 // Apply spline-based height using configured falloff
@@ -776,11 +1760,11 @@ class GridManager {
             
             // Apply noise effect if enabled
             if (this.noiseAmplitude > 0) {
-                // Use simple sine wave noise for now
-                // Could be replaced with Perlin/Simplex noise for more organic feel
-                const noiseX = cube.x * this.noiseScale + this.time;
-                const noiseZ = cube.z * this.noiseScale + this.time * 0.7;
-                const noise = Math.sin(noiseX) * Math.cos(noiseZ) * this.noiseAmplitude;
+                // Seeded simplex fBm, animated by moving through the third dimension
+                const noise = this.noise.warpedFbm3D(
+                    x * this.noiseScale, z * this.noiseScale, this.time,
+                    this.noiseOctaves, this.noiseLacunarity, this.noiseGain, this.noiseWarp
+                ) * this.noiseAmplitude;
                 
                 totalRaise += noise;
             }
@@ -788,78 +1772,467 @@ class GridManager {
             // Cap maximum height if a spline height reference exists
             if (this._cachedSplineHeight) {
                 const maxHeight = this._cachedSplineHeight - 1;
-                totalRaise = Math.min(totalRaise, maxHeight - cube.baseY);
+                totalRaise = Math.min(totalRaise, maxHeight - baseY);
             }
             
-            // Set final position and scale
-            const finalY = cube.baseY + totalRaise;
-            
-            dummy.position.set(cube.x, finalY, cube.z);
-            dummy.scale.set(maxScale, maxScale, maxScale);
-            dummy.updateMatrix();
+            // Set final position and scale - either straight to the target or sprung toward it
+            if (this.config.springEnabled && !snap) {
+                this.stepCubeSpring(i, baseY + totalRaise, maxScale);
+            } else {
+                this.cubeY[i] = baseY + totalRaise;
+                this.cubeScale[i] = maxScale;
+            }
+            this.cubeLastStep[i] = this.elapsed;
+            this.trackDisplacement(i);
             
             // Update instance matrix
-            this.instancedMesh.setMatrixAt(cube.i, dummy.matrix);
+            this.writeCubeMatrix(i);
+            if (coloring) this.writeCubeColor(i);
+        }
+    }
+    
+    // Keep displacedCubes in step with cube i, which was just solved
+    trackDisplacement(i) {
+        this.cubeRelaxStart[i] = -1;
+        
+        if (this.cubeY[i] !== this.cubeBaseY[i] || this.cubeScale[i] !== Math.fround(this.config.initialScale) ||
+            this.cubeVelocity[i] !== 0 || this.cubeScaleVelocity[i] !== 0) {
+            this.displacedCubes.add(i);
+        } else {
+            this.displacedCubes.delete(i);
+        }
+    }
+    
+    // Ease every displaced cube outside this frame's candidates back to rest over relaxDuration.
+    // Relaxation runs on this.elapsed, so it pauses and scales with the animation clock.
+    relaxDisplacedCubes() {
+        const duration = this.config.relaxDuration;
+        const restScale = this.config.initialScale;
+        const coloring = this.isColorModeActive();
+        let relaxing = 0;
+        
+        for (const i of this.displacedCubes) {
+            if (i >= this.cubeCount) {
+                this.displacedCubes.delete(i);
+                continue;
+            }
+            if (this.isCandidate(i)) continue;
+            
+            // Start from wherever the cube was left, dropping any spring momentum
+            if (this.cubeRelaxStart[i] < 0) {
+                this.cubeRelaxStart[i] = this.elapsed;
+                this.cubeRelaxFromY[i] = this.cubeY[i];
+                this.cubeRelaxFromScale[i] = this.cubeScale[i];
+                this.cubeVelocity[i] = 0;
+                this.cubeScaleVelocity[i] = 0;
+            }
+            
+            const t = duration > 0 ? Math.min(1, (this.elapsed - this.cubeRelaxStart[i]) / duration) : 1;
+            const eased = 1 - (1 - t) * (1 - t) * (1 - t); // Ease out: quick start, gentle landing
+            
+            const fromY = this.cubeRelaxFromY[i];
+            const fromScale = this.cubeRelaxFromScale[i];
+            this.cubeY[i] = fromY + (this.cubeBaseY[i] - fromY) * eased;
+            this.cubeScale[i] = fromScale + (restScale - fromScale) * eased;
+            this.cubeLastStep[i] = this.elapsed;
             
-            // Update cube data
-            cube.y = finalY;
-            cube.scale = maxScale;
+            if (t >= 1) {
+                this.cubeY[i] = this.cubeBaseY[i];
+                this.cubeScale[i] = restScale;
+                this.cubeRelaxStart[i] = -1;
+                this.displacedCubes.delete(i);
+            } else {
+                relaxing++;
+            }
+            
+            this.writeCubeMatrix(i);
+            if (coloring) this.writeCubeColor(i);
+        }
+        
+        this.updateStats.displaced = this.displacedCubes.size;
+        this.updateStats.relaxing = relaxing;
+    }
+    
+    // Write cube i's current y and scale straight into its chunk's instance matrices
+    // (column-major, no rotation) and flag the chunk for upload
+    writeCubeMatrix(i) {
+        const m = this.matrixArray;
+        const o = i * 16;
+        this.chunks[this.cubeChunk[i]].dirty = true;
+        const scale = this.cubeScale[i];
+        m[o] = scale;  m[o + 1] = 0;  m[o + 2] = 0;  m[o + 3] = 0;
+        m[o + 4] = 0;  m[o + 5] = scale;  m[o + 6] = 0;  m[o + 7] = 0;
+        m[o + 8] = 0;  m[o + 9] = 0;  m[o + 10] = scale;  m[o + 11] = 0;
+        m[o + 12] = this.cubeX[i];  m[o + 13] = this.cubeY[i];  m[o + 14] = this.cubeZ[i];  m[o + 15] = 1;
+    }
+    
+    // Integrate cube i's height and scale springs from its last solve up to now
+    stepCubeSpring(i, targetY, targetScale) {
+        const spring = this._spring || (this._spring = [0, 0]);
+        const dt = this.elapsed - this.cubeLastStep[i];
+        const stiffness = this.config.springStiffness;
+        const damping = this.config.springDamping;
+        
+        spring[0] = this.cubeY[i];
+        spring[1] = this.cubeVelocity[i];
+        GridPhysics.integrate(spring, targetY, dt, stiffness, damping);
+        this.cubeY[i] = spring[0];
+        this.cubeVelocity[i] = spring[1];
+        
+        spring[0] = this.cubeScale[i];
+        spring[1] = this.cubeScaleVelocity[i];
+        GridPhysics.integrate(spring, targetScale, dt, stiffness, damping);
+        this.cubeScale[i] = spring[0];
+        this.cubeScaleVelocity[i] = spring[1];
+    }
+    
+    // Configure the spring physics: { enabled, stiffness, damping, overshoot } - any subset.
+    // overshoot (0-1, fraction past the target) is an alternative way to set the damping ratio.
+    setSpringParameters(options = {}) {
+        if (options.enabled !== undefined) this.config.springEnabled = !!options.enabled;
+        if (options.stiffness !== undefined) this.config.springStiffness = Math.max(1, options.stiffness);
+        if (options.damping !== undefined) this.config.springDamping = Math.max(0.05, options.damping);
+        if (options.overshoot !== undefined) {
+            this.config.springDamping = GridPhysics.dampingForOvershoot(options.overshoot);
+        }
+        
+        if (this.config.springEnabled && this.config.displacementMode === 'gpu') {
+            console.warn('Spring physics only applies in CPU displacement mode');
+        }
+    }
+    
+    // Fraction by which cubes overshoot their target with the current damping
+    getSpringOvershoot() {
+        return GridPhysics.overshootForDamping(this.config.springDamping);
+    }
+    
+    // Split the cubes across the ready workers; skip the frame if any worker has no free buffer slot
+    // Returns false when the frame had to be skipped because a worker was still busy
+    dispatchWorkerBatches(indices) {
+        if (indices.length === 0) return true;
+        
+        const P = GridWorkerProtocol;
+        const readyWorkers = this.workers.filter(entry => entry.ready);
+        
+        // Every worker needs a free slot so the frame's cubes are solved together
+        const slots = readyWorkers.map(entry => entry.slots.findIndex(slot => !slot.inFlight));
+        if (slots.some(slotIndex => slotIndex === -1)) {
+            this._workerFramesSkipped++;
+            return false;
+        }
+        
+        // Pack the resolved effectors (active only, defaults applied)
+        const activeEffectors = this._resolvedEffectors;
+        const effectorData = new Float32Array(activeEffectors.length * P.EFFECTOR_STRIDE);
+        activeEffectors.forEach((effector, e) => {
+            const o = e * P.EFFECTOR_STRIDE;
+            effectorData[o + P.EFFECTOR_X] = effector.x;
+            effectorData[o + P.EFFECTOR_Y] = effector.y;
+            effectorData[o + P.EFFECTOR_Z] = effector.z;
+            effectorData[o + P.EFFECTOR_RADIUS] = effector.radius;
+            effectorData[o + P.EFFECTOR_MAX_RAISE] = effector.maxRaise;
+            effectorData[o + P.EFFECTOR_MAX_SCALE] = effector.maxScale;
+            effectorData[o + P.EFFECTOR_TYPE] = effector.typeId;
+            for (let k = 0; k < GridEffectors.MAX_PARAMS; k++) {
+                effectorData[o + P.EFFECTOR_PARAMS + k] = effector.params[k];
+            }
+            effectorData[o + P.EFFECTOR_BLEND] = effector.blend;
+            effectorData[o + P.EFFECTOR_BLEND_FACTOR] = effector.blendFactor;
+        });
+        
+        const params = new Float32Array(P.PARAM_COUNT);
+        params[P.PARAM_TIME] = this.time;
+        params[P.PARAM_INITIAL_SCALE] = this.config.initialScale;
+        params[P.PARAM_SPLINE_FALLOFF] = this.config.splineFalloff;
+        params[P.PARAM_SPLINE_HEIGHT] = this.config.splineHeight;
+        if (this._cachedSplinePoint) {
+            params[P.PARAM_HAS_SPLINE] = 1;
+            params[P.PARAM_SPLINE_X] = this._cachedSplinePoint.x;
+            params[P.PARAM_SPLINE_Z] = this._cachedSplinePoint.z;
         }
+        params[P.PARAM_SPLINE_CAP] = this._cachedSplineHeight || 0;
+        params[P.PARAM_NOISE_SCALE] = this.noiseScale;
+        params[P.PARAM_NOISE_AMPLITUDE] = this.noiseAmplitude;
+        params[P.PARAM_NOISE_OCTAVES] = this.noiseOctaves;
+        params[P.PARAM_NOISE_LACUNARITY] = this.noiseLacunarity;
+        params[P.PARAM_NOISE_GAIN] = this.noiseGain;
+        params[P.PARAM_NOISE_WARP] = this.noiseWarp;
+        params[P.PARAM_NOISE_SEED] = this.noiseSeed;
+        params[P.PARAM_SPRING_ENABLED] = this.config.springEnabled ? 1 : 0;
+        params[P.PARAM_SPRING_STIFFNESS] = this.config.springStiffness;
+        params[P.PARAM_SPRING_DAMPING] = this.config.springDamping;
+        params[P.PARAM_RAISE_CAP] = this.config.raiseCap;
+        params[P.PARAM_CAP_POLICY] = GridEffectors.capPolicyId(this.config.capPolicy);
+        
+        const batchSize = Math.ceil(indices.length / readyWorkers.length);
+        
+        readyWorkers.forEach((entry, w) => {
+            const first = w * batchSize;
+            const count = Math.min(batchSize, indices.length - first);
+            if (count <= 0) return;
+            
+            // Grow the slot's buffers to the next power of two when the batch outgrows them
+            const slot = entry.slots[slots[w]];
+            if (!slot.buffers || slot.buffers.capacity < count) {
+                slot.buffers = P.createBuffers(Math.pow(2, Math.ceil(Math.log2(count))));
+            }
+            
+            const buffers = slot.buffers;
+            for (let c = 0; c < count; c++) {
+                const i = indices[first + c];
+                const o = c * P.CUBE_STRIDE;
+                buffers.positions[o + P.CUBE_X] = this.cubeX[i];
+                buffers.positions[o + P.CUBE_Z] = this.cubeZ[i];
+                buffers.positions[o + P.CUBE_BASE_Y] = this.cubeBaseY[i];
+                buffers.positions[o + P.CUBE_Y] = this.cubeY[i];
+                buffers.positions[o + P.CUBE_VELOCITY] = this.cubeVelocity[i];
+                buffers.positions[o + P.CUBE_SCALE] = this.cubeScale[i];
+                buffers.positions[o + P.CUBE_SCALE_VELOCITY] = this.cubeScaleVelocity[i];
+                buffers.positions[o + P.CUBE_DT] = this.elapsed - this.cubeLastStep[i];
+                buffers.indices[c] = i;
+            }
+            
+            // The batch buffers are transferred, not copied - the slot is empty until they come back
+            slot.inFlight = true;
+            slot.buffers = null;
+            slot.elapsed = this.elapsed;  // Time the solved spring state belongs to
+            slot.generation = this._streamGeneration;
+            entry.worker.postMessage({
+                command: 'processBatch',
+                version: P.VERSION,
+                batchId: this._nextBatchId++,
+                slot: slots[w],
+                count,
+                positions: buffers.positions.buffer,
+                indices: buffers.indices.buffer,
+                matrices: buffers.matrices.buffer,
+                state: buffers.state.buffer,
+                effectors: effectorData.buffer,
+                effectorCount: activeEffectors.length,
+                params: params.buffer
+            }, [buffers.positions.buffer, buffers.indices.buffer, buffers.matrices.buffer, buffers.state.buffer]);
+        });
         
-        // Only reset cubes outside the culling radius if reset is enabled and not too often
-        // This is a heavy operation, so we only do it every 10 frames to improve performance
-        if (playerPosition && cubesToProcess.size > 0 && this._frameCounter % 10 === 0) {
-            // Use a more efficient approach - only update cubes that are actually outside their rest state
-            const resetDummy = new THREE.Object3D();
-            const resetLimit = 100; // Limit how many we reset per frame for better performance
-            let resetCount = 0;
+        return true;
+    }
+    
+    // Copy solved matrices straight into the chunk matrices and mirror the state into the cube arrays
+    // `elapsed` is this.elapsed when the batch was sent. A cube's spring state only moves forward
+    // when results arrive, so overlapping batches each integrate from the last state received.
+    // `generation` is the stream generation at send time: cubes recycled since then are skipped.
+    applyWorkerResults(buffers, count, elapsed, generation = this._streamGeneration) {
+        // Batches still in flight when GPU mode was switched on would undo the rest pose
+        if (!this.chunks || count === 0 || this.config.displacementMode === 'gpu') return;
+        
+        const P = GridWorkerProtocol;
+        const target = this.matrixArray;
+        const coloring = this.isColorModeActive();
+        
+        for (let c = 0; c < count; c++) {
+            const index = buffers.indices[c];
+            
+            // Cubes that left the region while the batch was out are already easing back to rest
+            if (index >= this.cubeCount || this.cubeRelaxStart[index] >= 0) continue;
+            
+            // Streamed chunks moved since the batch was sent hold different cubes now
+            const chunk = this.chunks[this.cubeChunk[index]];
+            if (chunk.generation > generation) continue;
             
-            // Create a Set of all cube keys - only once
-            if (!this._outsideCubes) {
-                this._outsideCubes = new Set(Object.keys(this.cubes));
+            // Chunks drawn merged or morphing rebuild their matrices from the cube arrays instead
+            if (chunk.level === 0 && !chunk.fineMorphed) {
+                const m = c * P.MATRIX_STRIDE;
+                target.set(buffers.matrices.subarray(m, m + P.MATRIX_STRIDE), index * P.MATRIX_STRIDE);
             }
+            chunk.dirty = true;
             
-            // Remove the keys that will be processed (within culling radius)
-            for (const key of cubesToProcess) {
-                this._outsideCubes.delete(key);
+            const s = c * P.STATE_STRIDE;
+            this.cubeY[index] = buffers.state[s + P.STATE_Y];
+            this.cubeScale[index] = buffers.state[s + P.STATE_SCALE];
+            this.cubeVelocity[index] = buffers.state[s + P.STATE_VELOCITY];
+            this.cubeScaleVelocity[index] = buffers.state[s + P.STATE_SCALE_VELOCITY];
+            this.cubeLastStep[index] = elapsed;
+            this.trackDisplacement(index);
+            if (coloring) this.writeCubeColor(index);
+        }
+    }
+    
+    // Switch between CPU matrix updates and GPU vertex-shader displacement
+    setDisplacementMode(mode) {
+        if (mode !== 'cpu' && mode !== 'gpu') {
+            console.error(`Unknown displacement mode: ${mode}`);
+            return false;
+        }
+        
+        this.config.displacementMode = mode;
+        if (!this.chunks) return true;
+        
+        if (mode === 'gpu') {
+            if (!this.gpuMaterial) {
+                this.displacementUniforms = GridDisplacementShader.createUniforms();
+                GridDisplacementShader.updateNoiseTexture(this.displacementUniforms, this.noise);
+                this.gpuMaterial = GridDisplacementShader.patchMaterial(
+                    this.cpuMaterial.clone(), this.displacementUniforms
+                );
+                // Shadows need the same displacement or they'd be cast from the flat grid
+                this.gpuDepthMaterial = GridDisplacementShader.patchMaterial(
+                    new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }),
+                    this.displacementUniforms
+                );
             }
             
-            // Process a subset of outside cubes each frame
-            const outsideArray = Array.from(this._outsideCubes);
-            const startIndex = (this._frameCounter / 10) % outsideArray.length;
+            // Carry over settings changed on the CPU material since (e.g. by updateSceneMaterials)
+            this.gpuMaterial.roughness = this.cpuMaterial.roughness;
+            this.gpuMaterial.metalness = this.cpuMaterial.metalness;
+            this.gpuMaterial.envMapIntensity = this.cpuMaterial.envMapIntensity;
+            this.gpuMaterial.vertexColors = this.cpuMaterial.vertexColors;
             
-            for (let i = 0; i < resetLimit && i < outsideArray.length; i++) {
-                const index = (startIndex + i) % outsideArray.length;
-                const key = outsideArray[index];
-                const cube = this.cubes[key];
-                
-                if (!cube) continue;
-                if (cube.y === cube.baseY && cube.scale === this.config.initialScale) continue;
-                
-                // Reset to initial position and scale
-                resetDummy.position.set(cube.x, cube.baseY, cube.z);
-                resetDummy.scale.set(this.config.initialScale, this.config.initialScale, this.config.initialScale);
-                resetDummy.updateMatrix();
-                
-                // Update instance matrix
-                this.instancedMesh.setMatrixAt(cube.i, resetDummy.matrix);
-                
-                // Update cube data
-                cube.y = cube.baseY;
-                cube.scale = this.config.initialScale;
-                resetCount++;
+            for (const chunk of this.chunks) {
+                chunk.setMaterial(this.gpuMaterial, this.gpuDepthMaterial);
             }
             
-            // Only flag update if we actually changed anything
-            if (resetCount > 0) {
-                this.instancedMesh.instanceMatrix.needsUpdate = true;
+            // The shader displaces from the rest pose, so every matrix has to go back there
+            // (and colours with it - the colour modes only follow CPU-solved cubes)
+            this.resetCubesToRest();
+            if (this.isColorModeActive()) this.recolorCubes();
+            this.resolveEffectors();
+            this.updateDisplacementUniforms();
+        } else {
+            for (const chunk of this.chunks) {
+                chunk.setMaterial(this.cpuMaterial, undefined);
             }
         }
         
-        // Mark instance matrix as needing update if any cubes were processed
-        if (cubesToProcess.size > 0) {
-            this.instancedMesh.instanceMatrix.needsUpdate = true;
+        console.log(`Grid displacement mode set to ${mode.toUpperCase()}`);
+        return true;
+    }
+    
+    // Put every cube back at its base height and initial scale
+    resetCubesToRest() {
+        if (!this.chunks) return;
+        
+        const count = this.cubeCount;
+        this.cubeY.set(this.cubeBaseY.subarray(0, count));
+        this.cubeScale.fill(this.config.initialScale, 0, count);
+        this.cubeVelocity.fill(0, 0, count);
+        this.cubeScaleVelocity.fill(0, 0, count);
+        this.cubeRelaxStart.fill(-1, 0, count);
+        
+        for (let i = 0; i < count; i++) {
+            this.writeCubeMatrix(i);
+        }
+        this.displacedCubes.clear();
+    }
+    
+    // Copy the current effect state into the displacement shader's uniforms
+    updateDisplacementUniforms() {
+        const uniforms = this.displacementUniforms;
+        if (!uniforms) return;
+        
+        uniforms.uGridTime.value = this.time;
+        uniforms.uGridInitialScale.value = this.config.initialScale;
+        uniforms.uGridNoiseScale.value = this.noiseScale;
+        uniforms.uGridNoiseAmplitude.value = this.noiseAmplitude;
+        uniforms.uGridNoiseOctaves.value = this.noiseOctaves;
+        uniforms.uGridNoiseLacunarity.value = this.noiseLacunarity;
+        uniforms.uGridNoiseGain.value = this.noiseGain;
+        uniforms.uGridNoiseWarp.value = this.noiseWarp;
+        
+        let count = 0;
+        for (const effector of this._resolvedEffectors || []) {
+            if (count === GridDisplacementShader.MAX_EFFECTORS) {
+                if (!this._warnedEffectorLimit) {
+                    console.warn(`GPU displacement supports ${GridDisplacementShader.MAX_EFFECTORS} active effectors, ignoring the rest`);
+                    this._warnedEffectorLimit = true;
+                }
+                break;
+            }
+            
+            // Custom types only exist in JavaScript, the shader falls back to radial for them
+            let typeId = effector.typeId;
+            if (!GridEffectors.typesById[typeId].builtIn) {
+                if (!this._warnedCustomTypes) {
+                    console.warn('Custom effector types are rendered as radial in GPU displacement mode');
+                    this._warnedCustomTypes = true;
+                }
+                typeId = GridEffectors.types.radial.id;
+            }
+            
+            uniforms.uGridEffectors.value[count].set(effector.x, effector.z, effector.radius, effector.maxRaise);
+            uniforms.uGridEffectorParams.value[count].fromArray(effector.params);
+            uniforms.uGridEffectorInfo.value[count].set(typeId, effector.y, effector.maxScale);
+            uniforms.uGridEffectorBlend.value[count].set(effector.blend, effector.blendFactor);
+            count++;
+        }
+        uniforms.uGridEffectorCount.value = count;
+        uniforms.uGridRaiseCap.value = this.config.raiseCap;
+        uniforms.uGridCapPolicy.value = GridEffectors.capPolicyId(this.config.capPolicy);
+        
+        uniforms.uGridSplineEnabled.value = this._cachedSplinePoint ? 1 : 0;
+        if (this._cachedSplinePoint) {
+            uniforms.uGridSplinePoint.value.set(this._cachedSplinePoint.x, this._cachedSplinePoint.z);
         }
+        uniforms.uGridSplineHeight.value = this.config.splineHeight;
+        uniforms.uGridSplineFalloff.value = this.config.splineFalloff;
+        uniforms.uGridSplineCap.value = this._cachedSplineHeight || 0;
+    }
+    
+    // Resolve the active effectors into the flat form GridEffectors.evaluate reads
+    resolveEffectors() {
+        this._resolvedEffectors = [];
+        this._effectorReach = {};
+        
+        for (const effector of this.effectors) {
+            if (!effector.active || !effector.position ||
+                isNaN(effector.position.x) || isNaN(effector.position.z)) continue;
+            
+            const resolved = GridEffectors.resolve(effector, this.config);
+            this._resolvedEffectors.push(resolved);
+            this._effectorReach[effector.id] = GridEffectors.reach(resolved);
+        }
+        
+        // Blend modes depend on order: lower priorities first, so higher ones override them
+        return GridEffectors.sortByPriority(this._resolvedEffectors);
+    }
+    
+    // Set how the combined effector raise is limited ('none', 'clamp' or 'soft') and the limit
+    setCapPolicy(policy, raiseCap = this.config.raiseCap) {
+        this.config.capPolicy = GridEffectors.CAP_POLICIES[GridEffectors.capPolicyId(policy)];
+        this.config.raiseCap = raiseCap;
+        console.log(`Effector raise cap: ${this.config.capPolicy} at ${raiseCap}`);
+    }
+    
+    // Change how an effector blends with the others (see GridEffectors.BLEND_MODES)
+    setEffectorBlend(id, blend, priority) {
+        const effector = this.effectors.find(e => e.id === id);
+        if (!effector) {
+            console.warn(`No effector with id '${id}'`);
+            return false;
+        }
+        
+        effector.blend = blend;
+        if (priority !== undefined) effector.priority = priority;
+        return true;
+    }
+    
+    // Distance from an effector's position within which its type can affect cubes
+    getEffectorReach(effector) {
+        const reach = this._effectorReach && this._effectorReach[effector.id];
+        return reach !== undefined ? reach : (effector.radius || 100);
+    }
+    
+    // Register a custom effector type for the main thread, the workers and (as radial) the GPU path.
+    // The falloff must be self-contained (no closures) since workers rebuild it from its source.
+    registerEffectorType(name, falloff, options = {}) {
+        const id = GridEffectors.register(name, falloff, options);
+        if (id === -1) return false;
+        
+        const type = GridEffectors.typesById[id];
+        this.workers.forEach(entry => {
+            if (entry.ready) this.postEffectorType(entry, type);
+        });
+        
+        console.log(`Registered effector type '${name}' (id ${id})`);
+        return true;
     }
     
     // Create player effector
@@ -879,7 +2252,7 @@ class GridManager {
         });
     }
     
-    // Create custom effector
+    // Create custom effector (options.type picks a GridEffectors type, 'radial' by default)
     createEffector(options) {
         const id = options.id || `effector_${this.effectors.length}`;
         
@@ -896,10 +2269,31 @@ class GridManager {
     }
     
     // Set global noise parameters
-    setNoiseParameters(amplitude, scale, speed) {
+    // options: { seed, octaves, lacunarity, gain, warp } - any subset, the rest stay as they are
+    setNoiseParameters(amplitude, scale, speed, options = {}) {
         if (amplitude !== undefined) this.noiseAmplitude = amplitude;
         if (scale !== undefined) this.noiseScale = scale;
         if (speed !== undefined) this.noiseSpeed = speed;
+        
+        if (options.octaves !== undefined) {
+            this.noiseOctaves = Math.max(1, Math.min(GridDisplacementShader.MAX_NOISE_OCTAVES, Math.round(options.octaves)));
+        }
+        if (options.lacunarity !== undefined) this.noiseLacunarity = options.lacunarity;
+        if (options.gain !== undefined) this.noiseGain = options.gain;
+        if (options.warp !== undefined) this.noiseWarp = Math.max(0, options.warp);
+        
+        if (options.seed !== undefined) {
+            // Integer below 2^24 so it survives the Float32 trip to the workers unchanged
+            const seed = Math.abs(Math.floor(options.seed)) % 16777216;
+            if (seed !== this.noiseSeed) {
+                this.noiseSeed = seed;
+                this.noise.setSeed(seed);
+                if (this.displacementUniforms) {
+                    GridDisplacementShader.updateNoiseTexture(this.displacementUniforms, this.noise);
+                }
+                console.log(`Noise seed set to ${seed}`);
+            }
+        }
     }
     
     // Toggle quadtree depth visualization
@@ -907,46 +2301,65 @@ class GridManager {
         this.config.showQuadTreeDepth = enabled;
         
         // First, make sure material settings are correct
-        this.instancedMesh.material.vertexColors = true;
-        this.instancedMesh.material.needsUpdate = true;
+        this.getCubeMaterial().vertexColors = true;
+        this.getCubeMaterial().needsUpdate = true;
         
         if (enabled) {
             // Apply the visualization
             this.colorCubesByQuadTreeDepth();
             console.log('QuadTree visualization enabled');
+        } else if (this.isColorModeActive()) {
+            // Hand the colours back to the colour mode
+            this.recolorCubes();
+            console.log('QuadTree visualization disabled');
         } else {
             // Reset all cubes to default color
             const defaultColor = new THREE.Color(this.config.cubeColor);
-            for (let i = 0; i < this.instanceColors.count; i++) {
-                this.instanceColors.setXYZ(i, defaultColor.r, defaultColor.g, defaultColor.b);
+            for (let i = 0; i < this.cubeCount; i++) {
+                this.setCubeColor(i, defaultColor.r, defaultColor.g, defaultColor.b);
             }
-            this.instanceColors.needsUpdate = true;
+            this.markColorsDirty();
             console.log('QuadTree visualization disabled');
         }
     }
     
+    // Toggle the quadtree node and query circle overlay
+    toggleQuadTreeOverlay(enabled) {
+        this.config.showQuadTreeOverlay = enabled;
+        
+        if (enabled && !this.quadTreeOverlay) {
+            const restTop = this.config.baseHeight + this.config.cubeSize * this.config.initialScale;
+            this.quadTreeOverlay = new QuadTreeOverlay(this.scene, { height: restTop + 0.1 });
+            this.quadTreeOverlay.setQuadTree(this.getQuadTree());
+        }
+        
+        if (this.quadTreeOverlay) {
+            this.quadTreeOverlay.setVisible(enabled);
+            this.updateQuadTreeOverlay();
+        }
+        console.log(`QuadTree overlay ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    // Refresh the overlay's highlighted nodes and circles from this frame's queries
+    updateQuadTreeOverlay() {
+        if (!this.quadTreeOverlay || !this.config.showQuadTreeOverlay) return;
+        this.quadTreeOverlay.update(this._frameQueries);
+    }
+    
     // Color cubes based on their quadtree depth
     colorCubesByQuadTreeDepth() {
-        if (!this.instancedMesh || !this.quadTree || !this.config.showQuadTreeDepth) {
+        if (!this.chunks || !this.config.showQuadTreeDepth) {
             console.log('Cannot visualize quadtree: missing requirements');
             return;
         }
         
         console.log('Applying quadtree depth visualization...');
         
-        // Rebuild the quadtree to update depth information
-        console.log('Rebuilding quadtree to refresh depth information...');
-        this.quadTree.clear();
-        for (const key in this.cubes) {
-            this.quadTree.insert(this.cubes[key]);
-        }
+        // QuadTree keeps each cube's depth current as it inserts, removes and merges
+        const quadTree = this.getQuadTree();
         
         // Find the maximum depth in the quadtree
-        let maxDepth = 0;
-        for (const key in this.cubes) {
-            const depth = this.cubes[key].quadTreeDepth || 0;
-            maxDepth = Math.max(maxDepth, depth);
-        }
+        const maxDepth = quadTree.getMaxDepth();
         console.log(`Max quadtree depth: ${maxDepth}`);
         
         // Define colors for different depths (rainbow spectrum)
@@ -963,9 +2376,8 @@ class GridManager {
         const depthCounts = new Array(maxDepth + 1).fill(0);
         
         // Update color for each cube based on its quadtree depth
-        for (const key in this.cubes) {
-            const cube = this.cubes[key];
-            const depth = cube.quadTreeDepth || 0;
+        for (let i = 0; i < this.cubeCount; i++) {
+            const depth = this.cubeDepth[i];
             depthCounts[depth]++;
             
             // Normalize depth to get color index
@@ -975,43 +2387,43 @@ class GridManager {
             const color = depthColors[colorIndex];
             
             // Set color in instance buffer - use direct RGB values
-            this.instanceColors.setXYZ(cube.i, color.r, color.g, color.b);
+            this.setCubeColor(i, color.r, color.g, color.b);
         }
         
         // Debug output
         console.log('Depth distribution:', depthCounts);
-        console.log(`Colored ${Object.keys(this.cubes).length} cubes by quadtree depth`);
+        console.log(`Colored ${this.cubeCount} cubes by quadtree depth`);
         
         // Update the buffer
-        this.instanceColors.needsUpdate = true;
+        this.markColorsDirty();
         
         // Make sure material settings are correct
-        this.instancedMesh.material.vertexColors = true;
-        this.instancedMesh.material.needsUpdate = true;
+        this.getCubeMaterial().vertexColors = true;
+        this.getCubeMaterial().needsUpdate = true;
     }
     
     // Override any base material color with a standard one
     resetCubeColors() {
-        if (!this.instancedMesh || !this.instanceColors) return;
+        if (!this.chunks) return;
         
         const defaultColor = new THREE.Color(this.config.cubeColor);
-        for (let i = 0; i < this.instanceColors.count; i++) {
-            this.instanceColors.setXYZ(i, defaultColor.r, defaultColor.g, defaultColor.b);
+        for (let i = 0; i < this.cubeCount; i++) {
+            this.setCubeColor(i, defaultColor.r, defaultColor.g, defaultColor.b);
         }
-        this.instanceColors.needsUpdate = true;
-        this.instancedMesh.material.needsUpdate = true;
+        this.markColorsDirty();
+        this.getCubeMaterial().needsUpdate = true;
         console.log('Reset all cube colors to default');
     }
     
     // Test function - apply a direct pattern of colors for testing
     testColorVisualization() {
-        if (!this.instancedMesh || !this.instanceColors) return;
+        if (!this.chunks) return;
         
         console.log('Testing cube color visualization...');
         
         // First ensure the material is correctly set up
-        this.instancedMesh.material.vertexColors = true;
-        this.instancedMesh.material.needsUpdate = true;
+        this.getCubeMaterial().vertexColors = true;
+        this.getCubeMaterial().needsUpdate = true;
         
         // Sample color scale
         const colors = [
@@ -1022,27 +2434,29 @@ class GridManager {
         ];
         
         // Apply a simple pattern (alternating colors based on position)
-        for (const key in this.cubes) {
-            const cube = this.cubes[key];
-            const xPos = Math.floor(cube.x); 
-            const zPos = Math.floor(cube.z);
+        for (let i = 0; i < this.cubeCount; i++) {
+            const xPos = Math.floor(this.cubeX[i]); 
+            const zPos = Math.floor(this.cubeZ[i]);
             
             // Use alternating pattern based on position
             const colorIndex = (Math.abs(xPos) + Math.abs(zPos)) % colors.length;
             const color = colors[colorIndex];
             
             // Apply color
-            this.instanceColors.setXYZ(cube.i, color.r, color.g, color.b);
+            this.setCubeColor(i, color.r, color.g, color.b);
         }
         
         // Update the buffer
-        this.instanceColors.needsUpdate = true;
-        this.instancedMesh.material.needsUpdate = true;
+        this.markColorsDirty();
+        this.getCubeMaterial().needsUpdate = true;
         console.log('Test pattern applied');
     }
     
     // Dispose and clean up resources
     dispose() {
+        // Stop the workers before tearing down the data they write into
+        this.terminateWorkers();
+        
         // Clean up visualizers
         for (const id in this.visualizers) {
             this.scene.remove(this.visualizers[id]);
@@ -1052,25 +2466,33 @@ class GridManager {
             if (visualizer.material) visualizer.material.dispose();
         }
         
-        // Clean up instanced mesh
-        if (this.instancedMesh) {
-            this.scene.remove(this.instancedMesh);
-            if (this.instancedMesh.geometry) this.instancedMesh.geometry.dispose();
-            if (this.instancedMesh.material) this.instancedMesh.material.dispose();
+        // Clean up chunk meshes
+        this.disposeChunkMeshes();
+        if (this.cpuMaterial) this.cpuMaterial.dispose();
+        if (this.gpuMaterial) this.gpuMaterial.dispose();
+        if (this.gpuDepthMaterial) this.gpuDepthMaterial.dispose();
+        if (this.displacementUniforms && this.displacementUniforms.uGridNoisePerm.value) {
+            this.displacementUniforms.uGridNoisePerm.value.dispose();
+        }
+        
+        if (this.quadTreeOverlay) {
+            this.quadTreeOverlay.dispose();
+            this.quadTreeOverlay = null;
         }
         
         // Clear collections
         this.visualizers = {};
         this.effectors = [];
-        this.cubes = {};
+        this.cubeCount = 0;
+        this.displacedCubes.clear();
         
-        // Clear quadtree
-        if (this.quadTree) this.quadTree.clear();
+        // Clear spatial index
+        if (this.spatialIndex) this.spatialIndex.clear();
     }
     
     // Get the number of cubes in the grid
     getCubeCount() {
-        return Object.keys(this.cubes).length;
+        return this.cubeCount;
     }
     
     // Get the number of active effectors
@@ -1079,6 +2501,12 @@ class GridManager {
     }
 }
 
+// Colour sources config.colorMode accepts
+GridManager.COLOR_MODES = ['none', 'raise', 'scale', 'effector'];
+
+// Largest chunk side: 256 x 256 cells is the most a chunk's Uint16Array cell indices can address
+GridManager.MAX_CHUNK_SIZE = 256;
+
 // Export the GridManager class
 window.GridManager = GridManager;
 console.log('GridManager class defined and exported successfully');
@@ -0,0 +1,177 @@
+/**
+ * GridMask.js
+ * Which grid cells GridManager leaves out entirely: cells under a mask image, inside XZ
+ * polygons or around named scene meshes get no instance and no spatial index entry
+ */
+
+class GridMask {
+    // Whether the cell at (x, z) is masked out
+    contains(x, z) {
+        throw new Error(`${this.constructor.name} does not implement contains`);
+    }
+
+    // Called before a batch of cells is tested (e.g. to refresh world matrices)
+    prepare() {}
+}
+
+class ImageMask extends GridMask {
+    // image:   HTMLImageElement, canvas or ImageData ({width, height, data})
+    // options: {minX, maxX, minZ, maxZ} world rectangle the image covers (image top = minZ),
+    //          {threshold} brightness (0-1) below which a cell is masked, {invert} mask bright cells instead,
+    //          {maskOutside} also mask everything outside the rectangle
+    constructor(image, options = {}) {
+        super();
+        const pixels = HeightMapSource.readPixels(image);
+        this.width = pixels.width;
+        this.height = pixels.height;
+        this.minX = options.minX !== undefined ? options.minX : -100;
+        this.maxX = options.maxX !== undefined ? options.maxX : 100;
+        this.minZ = options.minZ !== undefined ? options.minZ : -100;
+        this.maxZ = options.maxZ !== undefined ? options.maxZ : 100;
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+        this.invert = !!options.invert;
+        this.maskOutside = !!options.maskOutside;
+
+        // Masked flag per pixel, row by row
+        this.masked = new Uint8Array(this.width * this.height);
+        for (let p = 0; p < this.masked.length; p++) {
+            const o = p * 4;
+            const value = (0.299 * pixels.data[o] + 0.587 * pixels.data[o + 1] + 0.114 * pixels.data[o + 2]) / 255;
+            this.masked[p] = (value < this.threshold) !== this.invert ? 1 : 0;
+        }
+    }
+
+    // Nearest pixel's flag
+    contains(x, z) {
+        const u = (x - this.minX) / (this.maxX - this.minX);
+        const v = (z - this.minZ) / (this.maxZ - this.minZ);
+        if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) return this.maskOutside;
+
+        const px = Math.min(Math.round(u * (this.width - 1)), this.width - 1);
+        const pz = Math.min(Math.round(v * (this.height - 1)), this.height - 1);
+        return this.masked[pz * this.width + px] === 1;
+    }
+
+    // Load a mask image; callback(mask) once decoded, callback(null, error) on failure
+    static load(url, options, callback) {
+        console.log('Loading grid mask from:', url);
+        new THREE.ImageLoader().load(url, function(image) {
+            console.log(`Grid mask loaded: ${image.width}x${image.height}`);
+            if (callback) callback(new ImageMask(image, options));
+        }, undefined, function(error) {
+            console.error('Error loading grid mask:', error);
+            if (callback) callback(null, error);
+        });
+    }
+}
+
+class PolygonMask extends GridMask {
+    // polygons: one polygon or a list of them, each a list of {x, z} or [x, z] points. Cells inside
+    //           an odd number of polygons are masked, so a polygon inside another cuts a hole.
+    // options:  {invert} mask everything outside the polygons instead
+    constructor(polygons, options = {}) {
+        super();
+        // A single polygon's first entry is a point rather than a list of them
+        const first = polygons[0];
+        if (first && (!Array.isArray(first) || typeof first[0] === 'number')) {
+            polygons = [polygons];
+        }
+        this.invert = !!options.invert;
+
+        // Flat [x0, z0, x1, z1, ...] per polygon plus the box around all of them
+        this.polygons = [];
+        this.minX = Infinity;
+        this.maxX = -Infinity;
+        this.minZ = Infinity;
+        this.maxZ = -Infinity;
+        for (const polygon of polygons) {
+            if (polygon.length < 3) {
+                console.warn('Skipping grid mask polygon with fewer than 3 points');
+                continue;
+            }
+
+            const points = new Float32Array(polygon.length * 2);
+            polygon.forEach((point, p) => {
+                const x = Array.isArray(point) ? point[0] : point.x;
+                const z = Array.isArray(point) ? point[1] : point.z;
+                points[p * 2] = x;
+                points[p * 2 + 1] = z;
+                this.minX = Math.min(this.minX, x);
+                this.maxX = Math.max(this.maxX, x);
+                this.minZ = Math.min(this.minZ, z);
+                this.maxZ = Math.max(this.maxZ, z);
+            });
+            this.polygons.push(points);
+        }
+    }
+
+    // Even-odd crossing test against every polygon
+    contains(x, z) {
+        let inside = false;
+        if (x >= this.minX && x <= this.maxX && z >= this.minZ && z <= this.maxZ) {
+            for (const points of this.polygons) {
+                const n = points.length / 2;
+                for (let a = 0, b = n - 1; a < n; b = a++) {
+                    const ax = points[a * 2], az = points[a * 2 + 1];
+                    const bx = points[b * 2], bz = points[b * 2 + 1];
+                    if ((az > z) !== (bz > z) && x < (bx - ax) * (z - az) / (bz - az) + ax) {
+                        inside = !inside;
+                    }
+                }
+            }
+        }
+        return inside !== this.invert;
+    }
+}
+
+class MeshCarveMask extends GridMask {
+    // meshes:  objects to carve the grid around (children included), e.g. the OBJ's road
+    // options: {margin} extra distance around the meshes that is carved too, {top} height the rays start from
+    constructor(meshes, options = {}) {
+        super();
+        this.meshes = meshes;
+        this.margin = options.margin !== undefined ? options.margin : 0;
+        this.top = options.top !== undefined ? options.top : 1000;
+        this.box = new THREE.Box3();
+        this.raycaster = new THREE.Raycaster();
+        this.origin = new THREE.Vector3();
+        this.down = new THREE.Vector3(0, -1, 0);
+        this.hits = [];
+    }
+
+    // Meshes may have moved since they were loaded - refresh their world box
+    prepare() {
+        this.box.makeEmpty();
+        this.meshes.forEach(mesh => {
+            mesh.updateMatrixWorld(true);
+            this.box.expandByObject(mesh);
+        });
+        this.box.expandByVector(new THREE.Vector3(this.margin, 0, this.margin));
+    }
+
+    // Masked when a ray straight down through the cell, or through a point margin away from it, hits a mesh
+    contains(x, z) {
+        if (this.box.isEmpty() || x < this.box.min.x || x > this.box.max.x || z < this.box.min.z || z > this.box.max.z) {
+            return false;
+        }
+
+        if (this.hitsAt(x, z)) return true;
+        if (this.margin <= 0) return false;
+        return this.hitsAt(x - this.margin, z) || this.hitsAt(x + this.margin, z) ||
+            this.hitsAt(x, z - this.margin) || this.hitsAt(x, z + this.margin);
+    }
+
+    hitsAt(x, z) {
+        this.origin.set(x, this.top, z);
+        this.raycaster.set(this.origin, this.down);
+        this.hits.length = 0;
+        this.raycaster.intersectObjects(this.meshes, true, this.hits);
+        return this.hits.length > 0;
+    }
+}
+
+// Export the grid mask classes
+window.GridMask = GridMask;
+window.ImageMask = ImageMask;
+window.PolygonMask = PolygonMask;
+window.MeshCarveMask = MeshCarveMask;
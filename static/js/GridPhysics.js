@@ -0,0 +1,53 @@
+/**
+ * GridPhysics.js
+ * Spring-damper integration for cube height and scale, shared by GridManager and GridUpdateWorker
+ */
+
+const GridPhysics = {
+    SUBSTEP: 1 / 60,      // Largest integration step - longer gaps are split into substeps
+    MAX_DT: 0.25,         // Gaps longer than this (e.g. a cube left out of many frames) are shortened
+    REST_DISTANCE: 1e-4,  // Springs this close to their target and this slow snap onto it
+    REST_VELOCITY: 1e-3,
+
+    // Damping ratio that gives the requested overshoot (0 = none, 0.2 = 20% past the target)
+    dampingForOvershoot(overshoot) {
+        if (overshoot <= 0) return 1;
+        const lnOvershoot = Math.log(Math.min(overshoot, 0.99));
+        return -lnOvershoot / Math.sqrt(Math.PI * Math.PI + lnOvershoot * lnOvershoot);
+    },
+
+    // Overshoot produced by a damping ratio (critically damped and above don't overshoot)
+    overshootForDamping(dampingRatio) {
+        if (dampingRatio >= 1) return 0;
+        return Math.exp(-dampingRatio * Math.PI / Math.sqrt(1 - dampingRatio * dampingRatio));
+    },
+
+    // Advance a spring from state[0] (position) and state[1] (velocity) toward target over dt seconds.
+    // stiffness is in 1/s^2, dampingRatio 1 = critically damped. Writes the result back into state.
+    integrate(state, target, dt, stiffness, dampingRatio) {
+        const damping = 2 * dampingRatio * Math.sqrt(stiffness);
+        let position = state[0];
+        let velocity = state[1];
+        let remaining = Math.min(dt, this.MAX_DT);
+
+        // Semi-implicit Euler: stable for the stiffness range the UI offers at 60Hz substeps
+        while (remaining > 0) {
+            const h = Math.min(remaining, this.SUBSTEP);
+            velocity += (stiffness * (target - position) - damping * velocity) * h;
+            position += velocity * h;
+            remaining -= h;
+        }
+
+        if (Math.abs(target - position) < this.REST_DISTANCE && Math.abs(velocity) < this.REST_VELOCITY) {
+            position = target;
+            velocity = 0;
+        }
+
+        state[0] = position;
+        state[1] = velocity;
+        return state;
+    }
+};
+
+// Export for both the page (window) and GridUpdateWorker (worker global scope)
+self.GridPhysics = GridPhysics;
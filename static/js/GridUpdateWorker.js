@@ -3,147 +3,199 @@
  * Web Worker for asynchronous grid updates, offloading calculations from the main thread
  */
 
-// Worker context doesn't have access to THREE.js, so we implement simple math functions
-const Vector3 = {
-    distanceSquared: function(x1, y1, z1, x2, y2, z2) {
-        const dx = x1 - x2;
-        const dy = y1 - y2;
-        const dz = z1 - z2;
-        return dx * dx + dy * dy + dz * dz;
-    },
-    
-    distance: function(x1, y1, z1, x2, y2, z2) {
-        return Math.sqrt(this.distanceSquared(x1, y1, z1, x2, y2, z2));
+// Shared binary message layout, effector solver and noise (resolved relative to this worker script)
+importScripts('GridWorkerProtocol.js', 'GridEffectors.js', 'SimplexNoise.js', 'GridPhysics.js');
+
+const P = GridWorkerProtocol;
+
+// Reseeded whenever the main thread's noise seed changes
+const noise = new SimplexNoise(-1);
+
+// Resolved effectors rebuilt from the packed array, reused between batches
+const resolvedEffectors = [];
+
+// Unpack the effector array into the resolved form GridEffectors.evaluate reads
+function unpackEffectors(effectors, effectorCount) {
+    resolvedEffectors.length = effectorCount;
+
+    for (let e = 0; e < effectorCount; e++) {
+        const o = e * P.EFFECTOR_STRIDE;
+        const resolved = resolvedEffectors[e] || (resolvedEffectors[e] = { params: [0, 0, 0, 0] });
+
+        resolved.x = effectors[o + P.EFFECTOR_X];
+        resolved.y = effectors[o + P.EFFECTOR_Y];
+        resolved.z = effectors[o + P.EFFECTOR_Z];
+        resolved.radius = effectors[o + P.EFFECTOR_RADIUS];
+        resolved.maxRaise = effectors[o + P.EFFECTOR_MAX_RAISE];
+        resolved.maxScale = effectors[o + P.EFFECTOR_MAX_SCALE];
+        resolved.typeId = effectors[o + P.EFFECTOR_TYPE];
+        for (let k = 0; k < GridEffectors.MAX_PARAMS; k++) {
+            resolved.params[k] = effectors[o + P.EFFECTOR_PARAMS + k];
+        }
+        resolved.blend = effectors[o + P.EFFECTOR_BLEND];
+        resolved.blendFactor = effectors[o + P.EFFECTOR_BLEND_FACTOR];
+    }
+
+    return resolvedEffectors;
+}
+
+// Process a batch of cubes and write their new matrices and state into the output buffers
+function processCubeBatch(positions, indices, count, effectors, effectorCount, params, matrices, state) {
+    const initialScale = params[P.PARAM_INITIAL_SCALE];
+    const time = params[P.PARAM_TIME];
+    const hasSpline = params[P.PARAM_HAS_SPLINE] > 0;
+    const splineX = params[P.PARAM_SPLINE_X];
+    const splineZ = params[P.PARAM_SPLINE_Z];
+    const splineCap = params[P.PARAM_SPLINE_CAP];
+    const noiseScale = params[P.PARAM_NOISE_SCALE];
+    const noiseAmplitude = params[P.PARAM_NOISE_AMPLITUDE];
+    const raiseCap = params[P.PARAM_RAISE_CAP];
+    const capPolicy = params[P.PARAM_CAP_POLICY];
+    const resolved = unpackEffectors(effectors, effectorCount);
+    const octaves = params[P.PARAM_NOISE_OCTAVES];
+    const lacunarity = params[P.PARAM_NOISE_LACUNARITY];
+    const gain = params[P.PARAM_NOISE_GAIN];
+    const warp = params[P.PARAM_NOISE_WARP];
+    const springEnabled = params[P.PARAM_SPRING_ENABLED] > 0;
+    const stiffness = params[P.PARAM_SPRING_STIFFNESS];
+    const damping = params[P.PARAM_SPRING_DAMPING];
+    const spring = [0, 0];
+
+    if (noise.seed !== params[P.PARAM_NOISE_SEED]) {
+        noise.setSeed(params[P.PARAM_NOISE_SEED]);
     }
-};
+    const effect = [0, 0];
 
-// Process a batch of cubes and calculate their new positions and scales
-function processCubeBatch(cubes, effectors, time, config) {
-    const results = [];
-    
     // Process each cube
-    for (const cube of cubes) {
-        // Variables to track cumulative effects
-        let totalRaise = 0;
-        let maxScale = config.initialScale;
-        
-        // Process each effector's influence on this cube
-        for (const effector of effectors) {
-            // Skip inactive effectors
-            if (!effector.active) continue;
-            
-            // Calculate distance from cube to effector
-            const dx = cube.x - effector.position.x;
-            const dz = cube.z - effector.position.z;
-            const distSq = dx*dx + dz*dz;
-            const dist = Math.sqrt(distSq);
-            
-            // Skip if too far away
-            if (dist > (effector.radius || 100)) continue;
-            
-            // Calculate falloff factor (0-1, higher closer to effector)
-            // Using a more gentle falloff curve
-            const distRatio = dist / (effector.radius || 100);
-            // Using a cubic falloff for more gradual transition
-            const falloff = Math.max(0, 1 - (distRatio * distRatio * distRatio));
-            
-            // Skip if negligible effect
-            if (falloff < 0.005) continue;
-            
-            // Calculate height effect with a gentler easing function
-            // Using a quintic easing (power of 5) for an even more gradual effect
-            const gentleEasing = falloff * falloff * falloff * falloff * falloff;
-            const raise = (effector.maxRaise || config.effectorHeight) * gentleEasing;
-            
-            // Calculate scale effect (closer = larger)
-            let scaleFactor = config.initialScale;
-            
-            // Extend the scale effect to a larger radius (1.5x the normal radius)
-            const scaleRadius = (effector.radius || 100) * 1.5;
-            
-            if (dist < scaleRadius) {
-                // Calculate the ratio based on the extended scale radius
-                const scaleRatio = dist / scaleRadius;
-                const t = 1 - scaleRatio;
-                
-                // Use a more gradual falloff for scale effect
-                // This keeps more tiles at larger scale before falling off
-                const smoothT = Math.pow(t, 2); // Quadratic falloff for gentler transition
-                
-                const maxEffectorScale = effector.maxScale || config.maxScale;
-                scaleFactor = config.initialScale + 
-                              smoothT * (maxEffectorScale - config.initialScale);
-            }
-            
-            // Add this effector's contribution
-            totalRaise += raise;
-            
-            // Use max scale from any effector
-            maxScale = Math.max(maxScale, scaleFactor);
-        }
-        
+    for (let c = 0; c < count; c++) {
+        const x = positions[c * P.CUBE_STRIDE + P.CUBE_X];
+        const z = positions[c * P.CUBE_STRIDE + P.CUBE_Z];
+        const baseY = positions[c * P.CUBE_STRIDE + P.CUBE_BASE_Y];
+
+        // Combined influence of every active effector
+        GridEffectors.evaluate(effect, x, z, baseY, resolved, time, initialScale, raiseCap, capPolicy);
+        let totalRaise = effect[0];
+        const maxScale = effect[1];
+
         // Apply spline effect if available
-        if (config.splinePoint) {
-            const dx = cube.x - config.splinePoint.x;
-            const dz = cube.z - config.splinePoint.z;
+        if (hasSpline) {
+            const dx = x - splineX;
+            const dz = z - splineZ;
             const distSq = dx*dx + dz*dz;
-            
+
             // Apply spline-based height using configured falloff
-            const splineFalloff = 1 / (1 + config.splineFalloff * distSq);
-            const splineRaise = config.splineHeight * splineFalloff;
-            
-            totalRaise += splineRaise;
+            const splineFalloff = 1 / (1 + params[P.PARAM_SPLINE_FALLOFF] * distSq);
+            totalRaise += params[P.PARAM_SPLINE_HEIGHT] * splineFalloff;
         }
-        
+
         // Apply noise effect if enabled
-        if (config.noiseAmplitude > 0) {
-            // Use simple sine wave noise for now
-            // Could be replaced with Perlin/Simplex noise for more organic feel
-            const noiseX = cube.x * config.noiseScale + time;
-            const noiseZ = cube.z * config.noiseScale + time * 0.7;
-            const noise = Math.sin(noiseX) * Math.cos(noiseZ) * config.noiseAmplitude;
-            
-            totalRaise += noise;
+        if (noiseAmplitude > 0) {
+            // Seeded simplex fBm, same as GridManager.processCubesSync
+            totalRaise += noise.warpedFbm3D(x * noiseScale, z * noiseScale, time,
+                                            octaves, lacunarity, gain, warp) * noiseAmplitude;
         }
-        
+
         // Cap maximum height if a spline height reference exists
-        if (config.splineHeight) {
-            const maxHeight = config.splineHeight - 1;
-            totalRaise = Math.min(totalRaise, maxHeight - cube.baseY);
+        // (the spline point's Y, same as GridManager's _cachedSplineHeight)
+        if (splineCap) {
+            totalRaise = Math.min(totalRaise, splineCap - 1 - baseY);
+        }
+
+        // Set final position and scale - either straight to the target or sprung toward it
+        let finalY = baseY + totalRaise;
+        let finalScale = maxScale;
+        let velocity = 0;
+        let scaleVelocity = 0;
+
+        if (springEnabled) {
+            const o = c * P.CUBE_STRIDE;
+            const dt = positions[o + P.CUBE_DT];
+
+            spring[0] = positions[o + P.CUBE_Y];
+            spring[1] = positions[o + P.CUBE_VELOCITY];
+            GridPhysics.integrate(spring, finalY, dt, stiffness, damping);
+            finalY = spring[0];
+            velocity = spring[1];
+
+            spring[0] = positions[o + P.CUBE_SCALE];
+            spring[1] = positions[o + P.CUBE_SCALE_VELOCITY];
+            GridPhysics.integrate(spring, finalScale, dt, stiffness, damping);
+            finalScale = spring[0];
+            scaleVelocity = spring[1];
         }
-        
-        // Set final position and scale
-        const finalY = cube.baseY + totalRaise;
-        
-        // Add result to the batch
-        results.push({
-            index: cube.i,
-            y: finalY,
-            scale: maxScale
-        });
+
+        // Column-major translation + uniform scale matrix, the layout instanceMatrix expects
+        const m = c * P.MATRIX_STRIDE;
+        matrices[m] = finalScale;  matrices[m + 1] = 0;  matrices[m + 2] = 0;  matrices[m + 3] = 0;
+        matrices[m + 4] = 0;  matrices[m + 5] = finalScale;  matrices[m + 6] = 0;  matrices[m + 7] = 0;
+        matrices[m + 8] = 0;  matrices[m + 9] = 0;  matrices[m + 10] = finalScale;  matrices[m + 11] = 0;
+        matrices[m + 12] = x;  matrices[m + 13] = finalY;  matrices[m + 14] = z;  matrices[m + 15] = 1;
+
+        const s = c * P.STATE_STRIDE;
+        state[s + P.STATE_Y] = finalY;
+        state[s + P.STATE_SCALE] = finalScale;
+        state[s + P.STATE_VELOCITY] = velocity;
+        state[s + P.STATE_SCALE_VELOCITY] = scaleVelocity;
     }
-    
-    return results;
 }
 
 // Set up event listener for messages from the main thread
 self.addEventListener('message', function(e) {
     const data = e.data;
-    
-    if (data.command === 'processBatch') {
-        const { cubes, effectors, time, config, batchId } = data;
-        
+
+    if (data.command === 'registerEffectorType') {
+        // Custom falloffs arrive as source and must get the same id they have on the main thread
+        const falloff = new Function('return (' + data.falloff + ')')();
+        const id = GridEffectors.register(data.name, falloff);
+        if (id !== data.id) {
+            console.error(`Effector type '${data.name}' got id ${id} in the worker, expected ${data.id}`);
+        }
+    } else if (data.command === 'processBatch') {
+        // Hand the buffers straight back on a mismatch so the main thread doesn't lose them
+        if (data.version !== P.VERSION) {
+            self.postMessage({
+                command: 'batchRejected',
+                version: P.VERSION,
+                batchId: data.batchId,
+                slot: data.slot,
+                reason: `Protocol version ${data.version} does not match worker version ${P.VERSION}`,
+                positions: data.positions,
+                indices: data.indices,
+                matrices: data.matrices,
+                state: data.state
+            }, [data.positions, data.indices, data.matrices, data.state]);
+            return;
+        }
+
+        const matrices = new Float32Array(data.matrices);
+        const state = new Float32Array(data.state);
+
         // Process the cube batch
-        const results = processCubeBatch(cubes, effectors, time, config);
-        
-        // Send results back to main thread
+        processCubeBatch(
+            new Float32Array(data.positions),
+            new Uint32Array(data.indices),
+            data.count,
+            new Float32Array(data.effectors),
+            data.effectorCount,
+            new Float32Array(data.params),
+            matrices,
+            state
+        );
+
+        // Transfer every buffer back so the main thread can reuse them for a later batch
         self.postMessage({
             command: 'batchComplete',
-            results: results,
-            batchId: batchId
-        });
+            version: P.VERSION,
+            batchId: data.batchId,
+            slot: data.slot,
+            count: data.count,
+            positions: data.positions,
+            indices: data.indices,
+            matrices: data.matrices,
+            state: data.state
+        }, [data.positions, data.indices, data.matrices, data.state]);
     }
 });
 
-// Notify main thread that the worker is ready
-self.postMessage({ command: 'ready' });
+// Notify main thread that the worker is ready (and which layout it speaks)
+self.postMessage({ command: 'ready', version: P.VERSION });
@@ -0,0 +1,82 @@
+/**
+ * GridWorkerProtocol.js
+ * Binary message layout shared by GridManager and GridUpdateWorker
+ */
+
+const GridWorkerProtocol = {
+    // Bump whenever a layout below changes - both sides reject payloads from another version
+    VERSION: 5,
+
+    // Per-cube input (Float32Array): world position and rest height, plus the current spring state
+    // and the seconds since the cube was last solved (used when spring physics is on)
+    // The instance index travels separately in a Uint32Array so it stays exact
+    CUBE_STRIDE: 8,
+    CUBE_X: 0,
+    CUBE_Z: 1,
+    CUBE_BASE_Y: 2,
+    CUBE_Y: 3,
+    CUBE_VELOCITY: 4,
+    CUBE_SCALE: 5,
+    CUBE_SCALE_VELOCITY: 6,
+    CUBE_DT: 7,
+
+    // Per-effector input (Float32Array): GridEffectors.resolve output, only active effectors are packed,
+    // already sorted by priority
+    EFFECTOR_STRIDE: 13,
+    EFFECTOR_X: 0,
+    EFFECTOR_Y: 1,
+    EFFECTOR_Z: 2,
+    EFFECTOR_RADIUS: 3,
+    EFFECTOR_MAX_RAISE: 4,
+    EFFECTOR_MAX_SCALE: 5,
+    EFFECTOR_TYPE: 6,           // GridEffectors type id
+    EFFECTOR_PARAMS: 7,         // First of GridEffectors.MAX_PARAMS type parameters
+    EFFECTOR_BLEND: 11,         // GridEffectors.BLEND_MODES id
+    EFFECTOR_BLEND_FACTOR: 12,
+
+    // Frame-wide parameters (Float32Array)
+    PARAM_TIME: 0,
+    PARAM_INITIAL_SCALE: 1,
+    PARAM_SPLINE_FALLOFF: 2,
+    PARAM_SPLINE_HEIGHT: 3,
+    PARAM_HAS_SPLINE: 4,        // 1 when the spline point below is valid
+    PARAM_SPLINE_X: 5,
+    PARAM_SPLINE_Z: 6,
+    PARAM_SPLINE_CAP: 7,        // Spline point Y used as a height cap, 0 when unset
+    PARAM_NOISE_SCALE: 8,
+    PARAM_NOISE_AMPLITUDE: 9,
+    PARAM_RAISE_CAP: 10,
+    PARAM_CAP_POLICY: 11,       // GridEffectors.CAP_POLICIES id
+    PARAM_NOISE_OCTAVES: 12,
+    PARAM_NOISE_LACUNARITY: 13,
+    PARAM_NOISE_GAIN: 14,
+    PARAM_NOISE_WARP: 15,
+    PARAM_NOISE_SEED: 16,       // Integer below 2^24 so it stays exact as a float
+    PARAM_SPRING_ENABLED: 17,   // 1 = integrate toward the solved targets, 0 = snap to them
+    PARAM_SPRING_STIFFNESS: 18,
+    PARAM_SPRING_DAMPING: 19,   // Damping ratio
+    PARAM_COUNT: 20,
+
+    // Per-cube output: a column-major 4x4 matrix ready for instanceMatrix,
+    // plus the solved height, scale and spring velocities for GridManager's cube data
+    MATRIX_STRIDE: 16,
+    STATE_STRIDE: 4,
+    STATE_Y: 0,
+    STATE_SCALE: 1,
+    STATE_VELOCITY: 2,
+    STATE_SCALE_VELOCITY: 3,
+
+    // Allocate one set of batch buffers able to hold `capacity` cubes
+    createBuffers(capacity) {
+        return {
+            capacity,
+            positions: new Float32Array(capacity * this.CUBE_STRIDE),
+            indices: new Uint32Array(capacity),
+            matrices: new Float32Array(capacity * this.MATRIX_STRIDE),
+            state: new Float32Array(capacity * this.STATE_STRIDE)
+        };
+    }
+};
+
+// Export for both the page (window) and GridUpdateWorker (worker global scope)
+self.GridWorkerProtocol = GridWorkerProtocol;
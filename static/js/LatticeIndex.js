@@ -0,0 +1,155 @@
+/**
+ * LatticeIndex.js
+ * Spatial hash for items on a regular lattice - a cell per lattice point, so circle and
+ * rectangle queries walk only the cells in range instead of descending a tree
+ */
+
+class LatticeIndex extends SpatialIndex {
+    // lattice: {originX, originZ, spacing, countX, countZ, wrap} - origin is the lattice point (0, 0).
+    //          With wrap the lattice is unbounded and point (ix, iz) shares cell (ix mod countX,
+    //          iz mod countZ) - for a window of items that moves, like GridManager's streamed chunks.
+    // points:  {x: Float32Array, z: Float32Array} indexed by item id
+    constructor(lattice, points) {
+        super();
+        this.originX = lattice.originX;
+        this.originZ = lattice.originZ;
+        this.spacing = lattice.spacing;
+        this.countX = lattice.countX;
+        this.countZ = lattice.countZ;
+        this.wrap = !!lattice.wrap;
+        this.points = points;
+        this.cells = new Int32Array(this.countX * this.countZ).fill(-1); // Item id per cell (-1 = empty)
+        this.size = 0;
+    }
+
+    // Insert an item id into the cell under its position
+    insert(item) {
+        const fx = (this.points.x[item] - this.originX) / this.spacing;
+        const fz = (this.points.z[item] - this.originZ) / this.spacing;
+        const ix = Math.round(fx);
+        const iz = Math.round(fz);
+
+        // Only items sitting on a lattice point can be answered from grid coordinates
+        if (Math.abs(fx - ix) > 1e-3 || Math.abs(fz - iz) > 1e-3 ||
+            (!this.wrap && (ix < 0 || ix >= this.countX || iz < 0 || iz >= this.countZ))) {
+            return false;
+        }
+
+        const cell = this.cellOf(ix, iz);
+        if (this.cells[cell] < 0) this.size++;
+        this.cells[cell] = item;
+        return true;
+    }
+
+    // Remove an item id from the cell under its position - positions must not have changed since insert
+    remove(item) {
+        const ix = Math.round((this.points.x[item] - this.originX) / this.spacing);
+        const iz = Math.round((this.points.z[item] - this.originZ) / this.spacing);
+        if (!this.wrap && (ix < 0 || ix >= this.countX || iz < 0 || iz >= this.countZ)) return false;
+
+        const cell = this.cellOf(ix, iz);
+        if (this.cells[cell] !== item) return false;
+        this.cells[cell] = -1;
+        this.size--;
+        return true;
+    }
+
+    // Cell holding lattice point (ix, iz)
+    cellOf(ix, iz) {
+        if (this.wrap) {
+            ix = ((ix % this.countX) + this.countX) % this.countX;
+            iz = ((iz % this.countZ) + this.countZ) % this.countZ;
+        }
+        return ix * this.countZ + iz;
+    }
+
+    // Query all item ids in a circular range, one row of cells at a time
+    query(range, found = []) {
+        // Range is {x, z, radius}
+        const spacing = this.spacing;
+        const radiusSq = range.radius * range.radius;
+        const ixMin = Math.max(this.minIndex(), Math.ceil((range.x - range.radius - this.originX) / spacing));
+        const ixMax = Math.min(this.maxIndex(this.countX), Math.floor((range.x + range.radius - this.originX) / spacing));
+
+        for (let ix = ixMin; ix <= ixMax; ix++) {
+            const dx = this.originX + ix * spacing - range.x;
+            const halfChord = Math.sqrt(Math.max(0, radiusSq - dx * dx));
+            const izMin = Math.max(this.minIndex(), Math.ceil((range.z - halfChord - this.originZ) / spacing));
+            const izMax = Math.min(this.maxIndex(this.countZ), Math.floor((range.z + halfChord - this.originZ) / spacing));
+            this.pushRow(ix, izMin, izMax, found);
+        }
+
+        return found;
+    }
+
+    // Query all item ids in a rectangle {x, z, width, height} (half extents)
+    queryRect(range, found = []) {
+        const spacing = this.spacing;
+        const ixMin = Math.max(this.minIndex(), Math.ceil((range.x - range.width - this.originX) / spacing));
+        const ixMax = Math.min(this.maxIndex(this.countX), Math.floor((range.x + range.width - this.originX) / spacing));
+        const izMin = Math.max(this.minIndex(), Math.ceil((range.z - range.height - this.originZ) / spacing));
+        const izMax = Math.min(this.maxIndex(this.countZ), Math.floor((range.z + range.height - this.originZ) / spacing));
+
+        for (let ix = ixMin; ix <= ixMax; ix++) {
+            this.pushRow(ix, izMin, izMax, found);
+        }
+
+        return found;
+    }
+
+    // Range of lattice indices a query may visit along an axis (unbounded when wrapping)
+    minIndex() {
+        return this.wrap ? -Infinity : 0;
+    }
+
+    maxIndex(count) {
+        return this.wrap ? Infinity : count - 1;
+    }
+
+    // Push the occupied cells izMin..izMax of row ix
+    pushRow(ix, izMin, izMax, found) {
+        if (this.wrap) {
+            this.pushWrappedRow(ix, izMin, izMax, found);
+            return;
+        }
+
+        const row = ix * this.countZ;
+        for (let iz = izMin; iz <= izMax; iz++) {
+            const item = this.cells[row + iz];
+            if (item >= 0) found.push(item);
+        }
+    }
+
+    // Wrapped rows share cells with every lattice point a multiple of the counts away,
+    // so only items actually sitting on the requested point are pushed
+    pushWrappedRow(ix, izMin, izMax, found) {
+        const tolerance = this.spacing * 1e-3;
+        const x = this.originX + ix * this.spacing;
+        for (let iz = izMin; iz <= izMax; iz++) {
+            const item = this.cells[this.cellOf(ix, iz)];
+            if (item >= 0 &&
+                Math.abs(this.points.x[item] - x) < tolerance &&
+                Math.abs(this.points.z[item] - (this.originZ + iz * this.spacing)) < tolerance) {
+                found.push(item);
+            }
+        }
+    }
+
+    // Get all item ids in the index (for debugging or visualization)
+    getAllItems() {
+        const allItems = [];
+        for (let cell = 0; cell < this.cells.length; cell++) {
+            if (this.cells[cell] >= 0) allItems.push(this.cells[cell]);
+        }
+        return allItems;
+    }
+
+    // Clear the index (remove all items)
+    clear() {
+        this.cells.fill(-1);
+        this.size = 0;
+    }
+}
+
+// Export the LatticeIndex class
+window.LatticeIndex = LatticeIndex;
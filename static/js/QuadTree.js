@@ -3,13 +3,20 @@
  * Spatial partitioning for efficient proximity queries
  */
 
-class QuadTree {
-    constructor(boundary, capacity = 8, depth = 0) {
+class QuadTree extends SpatialIndex {
+    // Items are integer ids (e.g. cube instance ids) whose positions live in `points`:
+    // { x: Float32Array, z: Float32Array, depth: Uint8Array (optional, filled with each item's node depth) }
+    // The arrays may be swapped for larger ones on the same points object as more items are added.
+    constructor(boundary, capacity = 8, depth = 0, points = null) {
+        super();
         this.boundary = boundary; // {x, z, width, height}
         this.capacity = capacity; // Max items before subdivision
-        this.items = [];          // Generic items (can be cubes or effectors)
+        this.points = points;     // Shared position arrays, indexed by item id
+        this.items = [];          // Item ids stored in this node
         this.divided = false;
         this.depth = depth;       // Track the depth of this node for visualization
+        this.parent = null;
+        this.leaves = new Map();  // Item id -> node holding it, shared by the whole tree
         this.northEast = null;
         this.northWest = null;
         this.southEast = null;
@@ -24,10 +31,15 @@ class QuadTree {
         const h = this.boundary.height / 2;
         const nextDepth = this.depth + 1;
 
-        this.northEast = new QuadTree({x: x + w, z: z - h, width: w, height: h}, this.capacity, nextDepth);
-        this.northWest = new QuadTree({x: x - w, z: z - h, width: w, height: h}, this.capacity, nextDepth);
-        this.southEast = new QuadTree({x: x + w, z: z + h, width: w, height: h}, this.capacity, nextDepth);
-        this.southWest = new QuadTree({x: x - w, z: z + h, width: w, height: h}, this.capacity, nextDepth);
+        this.northEast = new QuadTree({x: x + w, z: z - h, width: w, height: h}, this.capacity, nextDepth, this.points);
+        this.northWest = new QuadTree({x: x - w, z: z - h, width: w, height: h}, this.capacity, nextDepth, this.points);
+        this.southEast = new QuadTree({x: x + w, z: z + h, width: w, height: h}, this.capacity, nextDepth, this.points);
+        this.southWest = new QuadTree({x: x - w, z: z + h, width: w, height: h}, this.capacity, nextDepth, this.points);
+
+        for (const child of [this.northEast, this.northWest, this.southEast, this.southWest]) {
+            child.parent = this;
+            child.leaves = this.leaves;
+        }
 
         this.divided = true;
 
@@ -42,7 +54,7 @@ class QuadTree {
         this.items = []; // Clear this node's items
     }
 
-    // Insert an item into this quad
+    // Insert an item id into this quad (once - use move() after its position changes)
     insert(item) {
         // Check if item is in this quad's boundary
         if (!this.contains(item)) {
@@ -51,11 +63,7 @@ class QuadTree {
 
         // If there's space, add the item here
         if (this.items.length < this.capacity && !this.divided) {
-            // Store the quadtree depth on the item for visualization
-            if (item.key) { // It's a cube with a key
-                item.quadTreeDepth = this.depth;
-            }
-            this.items.push(item);
+            this.store(item);
             return true;
         }
 
@@ -70,15 +78,91 @@ class QuadTree {
                this.southWest.insert(item);
     }
 
+    // Keep an item in this node, recording where it lives and its depth
+    store(item) {
+        // Store the quadtree depth of the item for visualization
+        if (this.points.depth) {
+            this.points.depth[item] = this.depth;
+        }
+        this.items.push(item);
+        this.leaves.set(item, this);
+    }
+
+    // Remove an item id, merging quads that no longer need to be split.
+    // Returns false if the item isn't in the tree.
+    remove(item) {
+        const node = this.leaves.get(item);
+        if (!node) return false;
+
+        const index = node.items.indexOf(item);
+        node.items[index] = node.items[node.items.length - 1];
+        node.items.pop();
+        this.leaves.delete(item);
+
+        // Collapse parents whose children now fit in one node again
+        let parent = node.parent;
+        while (parent && parent.countItems() <= parent.capacity) {
+            parent.merge();
+            parent = parent.parent;
+        }
+        return true;
+    }
+
+    // Re-file an item after its position in `points` changed (dynamic objects such as effectors).
+    // Inserts the item if it isn't in the tree yet. Returns false if it moved outside the tree.
+    move(item) {
+        const node = this.leaves.get(item);
+
+        // Still inside the same leaf - nothing to do
+        if (node && node.contains(item)) return true;
+
+        let root = this;
+        while (root.parent) root = root.parent;
+
+        if (node) root.remove(item);
+        return root.insert(item);
+    }
+
+    // Number of items in this quad and all its children
+    countItems() {
+        let count = this.items.length;
+        if (this.divided) {
+            count += this.northEast.countItems() +
+                     this.northWest.countItems() +
+                     this.southEast.countItems() +
+                     this.southWest.countItems();
+        }
+        return count;
+    }
+
+    // Pull every item up from the children into this node and drop them
+    merge() {
+        if (!this.divided) return;
+
+        const items = this.getAllItems();
+        this.items = [];
+        this.divided = false;
+        this.northEast = null;
+        this.northWest = null;
+        this.southEast = null;
+        this.southWest = null;
+
+        for (let i = 0; i < items.length; i++) {
+            this.store(items[i]);
+        }
+    }
+
     // Check if an item is within this quad's boundary
     contains(item) {
-        return item.x >= this.boundary.x - this.boundary.width &&
-               item.x <= this.boundary.x + this.boundary.width &&
-               item.z >= this.boundary.z - this.boundary.height &&
-               item.z <= this.boundary.z + this.boundary.height;
+        const x = this.points.x[item];
+        const z = this.points.z[item];
+        return x >= this.boundary.x - this.boundary.width &&
+               x <= this.boundary.x + this.boundary.width &&
+               z >= this.boundary.z - this.boundary.height &&
+               z <= this.boundary.z + this.boundary.height;
     }
 
-    // Query all items in a circular range
+    // Query all item ids in a circular range
     query(range, found = []) {
         // Range is {x, z, radius}
         
@@ -88,13 +172,15 @@ class QuadTree {
         }
 
         // Check items in this quad
+        const xs = this.points.x;
+        const zs = this.points.z;
+        const radiusSq = range.radius * range.radius;
         for (let i = 0; i < this.items.length; i++) {
             const item = this.items[i];
-            const dx = item.x - range.x;
-            const dz = item.z - range.z;
-            const dist = Math.sqrt(dx*dx + dz*dz);
+            const dx = xs[item] - range.x;
+            const dz = zs[item] - range.z;
             
-            if (dist <= range.radius) {
+            if (dx*dx + dz*dz <= radiusSq) {
                 found.push(item);
             }
         }
@@ -110,6 +196,114 @@ class QuadTree {
         return found;
     }
 
+    // Query all item ids in a rectangle {x, z, width, height} (half extents)
+    queryRect(range, found = []) {
+        // Early return if range doesn't overlap this quad
+        if (!this.intersectsRect(range)) {
+            return found;
+        }
+
+        // Check items in this quad
+        const xs = this.points.x;
+        const zs = this.points.z;
+        for (let i = 0; i < this.items.length; i++) {
+            const item = this.items[i];
+            if (Math.abs(xs[item] - range.x) <= range.width &&
+                Math.abs(zs[item] - range.z) <= range.height) {
+                found.push(item);
+            }
+        }
+
+        // Recursively check children if this quad is divided
+        if (this.divided) {
+            this.northEast.queryRect(range, found);
+            this.northWest.queryRect(range, found);
+            this.southEast.queryRect(range, found);
+            this.southWest.queryRect(range, found);
+        }
+
+        return found;
+    }
+
+    // The k item ids closest to (x, z), nearest first
+    queryNearest(x, z, k = 1) {
+        const nearest = [];   // Item ids, sorted by distance
+        const distances = []; // Matching squared distances
+        if (k <= 0) return nearest;
+
+        const xs = this.points.x;
+        const zs = this.points.z;
+
+        // Depth-first, nearest child first, skipping quads farther away than the current k-th item
+        const search = (node) => {
+            if (nearest.length === k && node.distanceSquaredTo(x, z) > distances[k - 1]) return;
+
+            for (let i = 0; i < node.items.length; i++) {
+                const item = node.items[i];
+                const dx = xs[item] - x;
+                const dz = zs[item] - z;
+                const distSq = dx*dx + dz*dz;
+                if (nearest.length === k && distSq >= distances[k - 1]) continue;
+
+                // Insertion sort - k is small
+                let slot = Math.min(nearest.length, k - 1);
+                while (slot > 0 && distances[slot - 1] > distSq) {
+                    nearest[slot] = nearest[slot - 1];
+                    distances[slot] = distances[slot - 1];
+                    slot--;
+                }
+                nearest[slot] = item;
+                distances[slot] = distSq;
+            }
+
+            if (node.divided) {
+                const children = [node.northEast, node.northWest, node.southEast, node.southWest];
+                children.sort((a, b) => a.distanceSquaredTo(x, z) - b.distanceSquaredTo(x, z));
+                for (const child of children) {
+                    search(child);
+                }
+            }
+        };
+
+        search(this);
+        return nearest;
+    }
+
+    // Squared distance from (x, z) to the nearest point of this quad (0 inside it)
+    distanceSquaredTo(x, z) {
+        const dx = Math.max(0, Math.abs(x - this.boundary.x) - this.boundary.width);
+        const dz = Math.max(0, Math.abs(z - this.boundary.z) - this.boundary.height);
+        return dx*dx + dz*dz;
+    }
+
+    // Call visitor(node) for this quad and its descendants, parents before children.
+    // Returning false from the visitor skips that node's children.
+    visit(visitor) {
+        if (visitor(this) === false) return;
+
+        if (this.divided) {
+            this.northEast.visit(visitor);
+            this.northWest.visit(visitor);
+            this.southEast.visit(visitor);
+            this.southWest.visit(visitor);
+        }
+    }
+
+    // Depth of the deepest node in the tree
+    getMaxDepth() {
+        let maxDepth = 0;
+        this.visit(node => {
+            maxDepth = Math.max(maxDepth, node.depth);
+        });
+        return maxDepth;
+    }
+
+    // Check if this quad overlaps a rectangle
+    intersectsRect(rect) {
+        return Math.abs(rect.x - this.boundary.x) <= rect.width + this.boundary.width &&
+               Math.abs(rect.z - this.boundary.z) <= rect.height + this.boundary.height;
+    }
+
     // Check if this quad intersects with a circle
     intersectsCircle(circle) {
         // Find closest point to circle center within rectangle
@@ -126,7 +320,7 @@ class QuadTree {
         return distanceSquared <= (circle.radius * circle.radius);
     }
     
-    // Get all items in the tree (for debugging or visualization)
+    // Get all item ids in the tree (for debugging or visualization)
     getAllItems() {
         let allItems = [...this.items];
         
@@ -144,6 +338,13 @@ class QuadTree {
     
     // Clear the tree (remove all items)
     clear() {
+        if (!this.parent) {
+            this.leaves.clear();
+        } else {
+            for (const item of this.getAllItems()) {
+                this.leaves.delete(item);
+            }
+        }
         this.items = [];
         this.divided = false;
         this.northEast = null;
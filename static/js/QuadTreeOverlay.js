@@ -0,0 +1,163 @@
+/**
+ * QuadTreeOverlay.js
+ * Debug overlay drawing QuadTree node boundaries and the frame's query circles over the grid
+ */
+
+class QuadTreeOverlay {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        
+        this.config = Object.assign({
+            height: 0,                // World y the overlay is drawn at
+            nodeColor: 0x2a5566,      // Nodes no query reached
+            touchedColor: 0xffcc00,   // Nodes intersecting at least one query circle
+            circleColor: 0xff33cc,    // Query circles
+            circleSegments: 64
+        }, options);
+        
+        this.quadTree = null;
+        this.nodes = [];          // Tree nodes in the order their edges appear in the line buffer
+        this.lines = null;        // LineSegments with 4 edges (8 vertices) per node
+        this.circles = [];        // Pooled LineLoops, one per query
+        this.touchedNodes = 0;    // Nodes highlighted by the last update
+        
+        this.group = new THREE.Group();
+        this.group.name = 'QuadTreeOverlay';
+        this.group.renderOrder = 999;
+        this.scene.add(this.group);
+        
+        // Unit circle shared by every query circle, scaled to the radius
+        const points = [];
+        for (let s = 0; s < this.config.circleSegments; s++) {
+            const angle = s / this.config.circleSegments * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+        }
+        this.circleGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        this.circleMaterial = new THREE.LineBasicMaterial({
+            color: this.config.circleColor,
+            depthTest: false,
+            transparent: true
+        });
+        this.lineMaterial = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            depthTest: false,
+            transparent: true,
+            opacity: 0.8
+        });
+    }
+    
+    // Rebuild the node boundary lines from the tree's current structure
+    setQuadTree(quadTree) {
+        this.quadTree = quadTree;
+        this.nodes = [];
+        if (quadTree) {
+            quadTree.visit(node => {
+                this.nodes.push(node);
+            });
+        }
+        
+        if (this.lines) {
+            this.group.remove(this.lines);
+            this.lines.geometry.dispose();
+            this.lines = null;
+        }
+        if (this.nodes.length === 0) return;
+        
+        const y = this.config.height;
+        const positions = new Float32Array(this.nodes.length * 8 * 3);
+        this.nodes.forEach((node, n) => {
+            const b = node.boundary;
+            const x0 = b.x - b.width;
+            const x1 = b.x + b.width;
+            const z0 = b.z - b.height;
+            const z1 = b.z + b.height;
+            
+            // Four edges: top, right, bottom, left
+            positions.set([
+                x0, y, z0,  x1, y, z0,
+                x1, y, z0,  x1, y, z1,
+                x1, y, z1,  x0, y, z1,
+                x0, y, z1,  x0, y, z0
+            ], n * 24);
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(positions.length), 3));
+        this.lines = new THREE.LineSegments(geometry, this.lineMaterial);
+        this.lines.frustumCulled = false;
+        this.lines.renderOrder = 999;
+        this.group.add(this.lines);
+        
+        console.log(`QuadTree overlay built with ${this.nodes.length} nodes`);
+    }
+    
+    // Highlight the nodes the given query circles reach and draw the circles.
+    // queries is a flat array of x, z, radius triples.
+    update(queries) {
+        const circleCount = queries.length / 3;
+        
+        // Node colours: a node is visited by a query exactly when the circle intersects it
+        if (this.lines) {
+            const colors = this.lines.geometry.attributes.color;
+            const base = new THREE.Color(this.config.nodeColor);
+            const touched = new THREE.Color(this.config.touchedColor);
+            const circle = { x: 0, z: 0, radius: 0 };
+            this.touchedNodes = 0;
+            
+            for (let n = 0; n < this.nodes.length; n++) {
+                let hit = false;
+                for (let q = 0; q < circleCount && !hit; q++) {
+                    circle.x = queries[q * 3];
+                    circle.z = queries[q * 3 + 1];
+                    circle.radius = queries[q * 3 + 2];
+                    hit = this.nodes[n].intersectsCircle(circle);
+                }
+                if (hit) this.touchedNodes++;
+                
+                const color = hit ? touched : base;
+                for (let v = 0; v < 8; v++) {
+                    colors.setXYZ(n * 8 + v, color.r, color.g, color.b);
+                }
+            }
+            colors.needsUpdate = true;
+        }
+        
+        // Grow the circle pool as needed and hide the circles not used this frame
+        while (this.circles.length < circleCount) {
+            const loop = new THREE.LineLoop(this.circleGeometry, this.circleMaterial);
+            loop.frustumCulled = false;
+            loop.renderOrder = 999;
+            this.circles.push(loop);
+            this.group.add(loop);
+        }
+        this.circles.forEach((loop, q) => {
+            loop.visible = q < circleCount;
+            if (!loop.visible) return;
+            
+            const radius = queries[q * 3 + 2];
+            loop.position.set(queries[q * 3], this.config.height, queries[q * 3 + 1]);
+            loop.scale.set(radius, 1, radius);
+        });
+    }
+    
+    // Show or hide the whole overlay
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+    
+    // Remove the overlay from the scene and free its buffers
+    dispose() {
+        this.scene.remove(this.group);
+        if (this.lines) this.lines.geometry.dispose();
+        this.circleGeometry.dispose();
+        this.circleMaterial.dispose();
+        this.lineMaterial.dispose();
+        this.circles = [];
+        this.nodes = [];
+        this.lines = null;
+    }
+}
+
+// Export the QuadTreeOverlay class
+window.QuadTreeOverlay = QuadTreeOverlay;
@@ -10,14 +10,32 @@ function SceneController() {
     this.renderer = null;
     this.player = null; // The player object (cone)
     this.clock = new THREE.Clock(); // Clock for animations
+    this.timeScale = 1; // Multiplier on frame time (debugging: slow motion / fast forward)
+    this.paused = false; // When paused, animation time stops but rendering continues
+    this.maxDeltaTime = 0.1; // Clamp for long frames (e.g. after switching tabs)
     this.splineLoader = null;
     this.cameraController = null;
     this.scrollY = 0; // Track scroll position
     this.initialized = false;
     this.sceneFilePath = '/static/models/Scene.obj';
+    this.cameraKeyframesPath = '/static/models/camera_keyframes.json'; // Framing keyed along the camera path (see CameraKeyframeTrack), off until enabled
+    this.cameraPathFile = '/static/models/default_camera_path.json'; // Camera path used when the OBJ has no camera_path
+    
+    // <section> elements bound to places on the camera path (see bindSectionAnchors)
+    this.sectionAnchors = []; // {element, distance, scroll} sorted by scroll position
+    this.sectionSnap = false; // Ease to the nearest section once scrolling stops
+    this.sectionSnapDuration = 1.2; // Seconds the eased snap takes
+    this.sectionSnapDelay = 150; // Milliseconds without scrolling before snapping
+    this._sectionSnapTween = null;
+    this._scrollIdleTimer = null;
+    
+    // Name of the path marker or OBJ object the camera's look-at mode points at
+    this.cameraLookTarget = null;
     
     // Reference to GridManager
     this.gridManager = null;
+    this.gridHeightMode = 'flat'; // Where cubes rest: 'flat' (baseHeight), 'procedural' or 'scene' (ground and road meshes)
+    this.gridMaskMode = 'none'; // Cells left out of the grid: 'none', 'roads' or 'buildings' (carved around those meshes)
     
     // Wave animation properties - independent of camera movement
     this.waveTime = 0;
@@ -87,6 +105,7 @@ SceneController.prototype.init = function() {
 
     // Initialize SplineLoader for loading OBJ models with camera paths
     this.splineLoader = new SplineLoader(this.scene);
+    this.splineLoader.defaultPathURL = this.cameraPathFile;
     
     // Create camera controller
     this.cameraController = new CameraController(this.camera, this.player);
@@ -156,6 +175,21 @@ SceneController.prototype.init = function() {
                 console.log('Camera path loaded from OBJ model');
             }
             
+            // Speed along the path shipped with the path JSON - slow at points of interest, quick between them
+            if (loader && loader.pathSpeeds) {
+                self.cameraController.setSpeedProfile(SpeedProfile.fromSpeeds(loader.pathSpeeds));
+            }
+            
+            // Line the page sections up with their places on the path
+            self.bindSectionAnchors();
+            
+            // Framing keyed along the path - shipped with the path JSON, or from its own file
+            if (loader && loader.pathKeyframes) {
+                self.cameraController.setKeyframes(CameraKeyframeTrack.fromJSON(loader.pathKeyframes));
+            } else {
+                self.loadCameraKeyframes(self.cameraKeyframesPath);
+            }
+            
             // Initialize GridManager after OBJ model loads
             self.updatePreloader(60, 'Creating cube grid...');
             self.initializeGridManager();
@@ -219,6 +253,14 @@ SceneController.prototype.initializeGridManager = function() {
         gridZ: -50,
         cubeSize: 0.8,
         cubeColor: 0x00ffcc,
+        // Overlapping effectors add up and take the max, uncapped (the Cap Policy control can limit them)
+        raiseCap: 0,
+        capPolicy: 'none',
+        // Flat plane at baseHeight unless a height mode is picked (Base Height in the grid controls)
+        heightSource: this.createGridHeightSource(this.gridHeightMode),
+        masks: this.createGridMasks(this.gridMaskMode),
+        // true swaps the fixed 350x1000 block for a window of chunks that follows the camera path
+        streaming: false,
         // Camera path may not be available yet
         cameraPath: this.objCameraPath
     };
@@ -227,6 +269,9 @@ SceneController.prototype.initializeGridManager = function() {
     this.gridManager = new GridManager(this.scene, gridOptions);
     console.log('GridManager created with options:', gridOptions);
     
+    // Distant chunks merge their cubes by distance from the camera
+    this.gridManager.setLODViewer(this.camera);
+    
     // Create the cube grid with batch processing to prevent UI freeze
     this.gridManager.createGrid((progress) => {
         // Convert progress to a value between 30 and 98
@@ -264,6 +309,58 @@ SceneController.prototype.initializeGridManager = function() {
     // in the createTestEffectors method
 };
 
+// Build the grid's rest height source for a mode: 'flat', 'procedural' or 'scene'
+SceneController.prototype.createGridHeightSource = function(mode) {
+    if (mode === 'procedural') {
+        return new ProceduralHeightSource({ base: -15, amplitude: 6, scale: 0.01 });
+    }
+    
+    if (mode === 'scene' && this.splineLoader) {
+        const groundMeshes = this.splineLoader.getGroundMeshes();
+        if (groundMeshes.length > 0) {
+            // Cast on a lattice twice the cube spacing - raycasting every cube is too slow to load
+            return new RaycastHeightSource(groundMeshes, { cellSize: 3.2 });
+        }
+        console.warn('No ground or road meshes found, the grid stays flat');
+    }
+    
+    return null;
+};
+
+// Switch where the grid cubes rest and rebuild the grid on it
+SceneController.prototype.setGridHeightMode = function(mode) {
+    this.gridHeightMode = mode;
+    if (this.gridManager) {
+        this.gridManager.setHeightSource(this.createGridHeightSource(mode));
+    }
+};
+
+// Build the grid masks for a mode: 'none', 'roads' (carve around the road meshes) or
+// 'buildings' (carve around every mesh that isn't ground)
+SceneController.prototype.createGridMasks = function(mode) {
+    if (mode === 'none' || !this.splineLoader) return [];
+    
+    const meshes = mode === 'roads'
+        ? this.splineLoader.getMeshesByName(SplineLoader.ROAD_PATTERN)
+        : this.splineLoader.getMeshesByName(SplineLoader.GROUND_PATTERN, true);
+    if (meshes.length === 0) {
+        console.warn(`No meshes to carve the grid around for mask mode '${mode}'`);
+        return [];
+    }
+    
+    console.log(`Carving the grid around ${meshes.length} meshes: ${meshes.map(mesh => mesh.name).join(', ')}`);
+    // A cube's spacing of margin keeps cubes from poking through the mesh edges
+    return [new MeshCarveMask(meshes, { margin: 1.6 })];
+};
+
+// Switch which cells are left out of the grid and rebuild it without them
+SceneController.prototype.setGridMaskMode = function(mode) {
+    this.gridMaskMode = mode;
+    if (this.gridManager) {
+        this.gridManager.setMasks(this.createGridMasks(mode));
+    }
+};
+
 // Set up scene lighting
 SceneController.prototype.setupLighting = function() {
     // Load HDRI environment map for lighting and reflections
@@ -349,8 +446,8 @@ SceneController.prototype.loadHDRIEnvironment = function() {
 // Update all materials in the scene to match UltraHDR example settings
 SceneController.prototype.updateSceneMaterials = function(params) {
     // Update the grid manager materials if available
-    if (this.gridManager && this.gridManager.instancedMesh) {
-        const material = this.gridManager.instancedMesh.material;
+    if (this.gridManager && this.gridManager.chunks) {
+        const material = this.gridManager.getCubeMaterial();
         
         // Apply UltraHDR example-like settings
         if (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial) {
@@ -501,7 +598,7 @@ SceneController.prototype.createTestEffectors = function() {
         console.table(effectorPositions);
         
         // Process each effector from the OBJ model
-        this.splineLoader.effectors.forEach(effector => {
+        this.splineLoader.effectors.forEach((effector, index) => {
             // Skip if position is invalid
             if (!effector.position) {
                 console.error(`Effector ${effector.name} has no position data`);
@@ -516,12 +613,13 @@ SceneController.prototype.createTestEffectors = function() {
                 this.gridManager.addEffector({
                     id: effector.name,
                     name: effector.name,
+                    type: GridEffectors.typeFromName(effector.name), // e.g. 'effector_ring' -> ring
                     position: effector.position.clone(), // Clone to avoid reference issues
                     radius: 50,              // REDUCED from 100 to 50
                     maxRaise: 15,            // REDUCED from 25 to 15
                     maxScale: 1.5,           // REDUCED from 2.0 to 1.5
                     active: true,
-                    color: 0x00ffff,
+                    color: SceneController.EFFECTOR_TINTS[index % SceneController.EFFECTOR_TINTS.length], // Grid tint in 'effector' colour mode
                     visualize: false
                 });
             }
@@ -626,6 +724,12 @@ SceneController.prototype.setupEventListeners = function() {
     window.addEventListener('scroll', (event) => {
         // Set debug flag to log scroll position once
         this._debugScroll = true;
+        this.scheduleSectionSnap();
+    });
+    
+    // Scrolling by hand takes over from a running section snap
+    ['wheel', 'touchstart', 'mousedown'].forEach(type => {
+        window.addEventListener(type, () => this.cancelSectionSnap(), { passive: true });
     });
     
     // Handle key presses for camera control and debugging
@@ -646,6 +750,15 @@ SceneController.prototype.setupEventListeners = function() {
             }
         }
         
+        // Time controls - 'P' pauses, '[' / ']' halve / double the time scale
+        if (event.key === 'p' || event.key === 'P') {
+            this.togglePause();
+        } else if (event.key === '[') {
+            this.setTimeScale(this.timeScale * 0.5);
+        } else if (event.key === ']') {
+            this.setTimeScale(this.timeScale * 2);
+        }
+        
         // Camera offset controls
         if (this.cameraController) {
             const offsetStep = event.shiftKey ? 10 : 2; // Larger steps with shift key
@@ -686,12 +799,13 @@ SceneController.prototype.setupEventListeners = function() {
                 const scrollMax = document.body.scrollHeight - window.innerHeight;
                 const progress = Math.max(0, Math.min(window.scrollY / scrollMax, 1));
                 const pathAdapter = this.objCameraPath ? {
-                    getPointOnPath: (t) => this.objCameraPath.getPoint(t)
+                    getPointOnPath: (t) => this.objCameraPath.getPointAt(t)
                 } : null;
                 
                 if (pathAdapter) {
-                    const pathPosition = pathAdapter.getPointOnPath(progress);
-                    this.cameraController.resetPosition(pathPosition);
+                    const pathDistance = this.cameraController.getPathDistance(progress);
+                    const pathPosition = pathAdapter.getPointOnPath(pathDistance);
+                    this.cameraController.resetPosition(pathPosition, this.objCameraPath, pathDistance);
                 }
                 event.preventDefault();
             }
@@ -707,6 +821,9 @@ SceneController.prototype.animate = function() {
         self.animate();
     });
     
+    // Move the page on if a section snap is running
+    this.updateSectionSnap();
+    
     // Calculate progress (0 to 1) based on scroll position
     const scrollMax = document.body.scrollHeight - window.innerHeight;
     const currentScroll = window.scrollY || window.pageYOffset || 0;
@@ -721,19 +838,60 @@ SceneController.prototype.animate = function() {
     // Update camera controller with proper path following
     this.updateCameraPath(progress);
     
+    // Where the camera is along the path after the speed profile (by arc length)
+    const pathDistance = this.cameraController ? this.cameraController.getPathDistance(progress) : progress;
+    
     // Update player movement (if needed)
     this.updatePlayer();
     
+    // Frame time in seconds, scaled for debugging and zero while paused
+    const deltaTime = this.getFrameDelta();
+    
     // Update GridManager effects
     if (this.gridManager) {
-        // Update the GridManager with the current scroll progress
-        this.gridManager.update(progress);
+        // Update the GridManager with the frame time and the camera's place along the path
+        this.gridManager.update(deltaTime, pathDistance);
     }
     
     // Render the scene
     this.renderer.render(this.scene, this.camera);
 };
 
+// Read the clock and return this frame's animation time step in seconds
+SceneController.prototype.getFrameDelta = function() {
+    // Always read the clock so resuming doesn't produce one huge step
+    const rawDelta = Math.min(this.clock.getDelta(), this.maxDeltaTime);
+    return this.paused ? 0 : rawDelta * this.timeScale;
+};
+
+// Set the animation speed multiplier (1 = real time)
+SceneController.prototype.setTimeScale = function(scale) {
+    this.timeScale = Math.max(0, scale);
+    console.log(`Time scale set to ${this.timeScale}`);
+};
+
+// Pause animation time (the scene keeps rendering and following the scroll)
+SceneController.prototype.pause = function() {
+    this.paused = true;
+    console.log('Animation paused');
+};
+
+// Resume animation time
+SceneController.prototype.resume = function() {
+    this.paused = false;
+    console.log('Animation resumed');
+};
+
+// Toggle between paused and running
+SceneController.prototype.togglePause = function() {
+    if (this.paused) {
+        this.resume();
+    } else {
+        this.pause();
+    }
+    return this.paused;
+};
+
 // Update camera position along path
 SceneController.prototype.updateCameraPath = function(progress) {
     // Create a path adapter if needed
@@ -745,7 +903,7 @@ SceneController.prototype.updateCameraPath = function(progress) {
             this._objPathAdapter = {
                 cameraPath: this.objCameraPath,
                 getPointOnPath: function(t) {
-                    return this.cameraPath.getPoint(Math.max(0, Math.min(t, 1)));
+                    return this.cameraPath.getPointAt(Math.max(0, Math.min(t, 1)));
                 }
             };
         }
@@ -759,7 +917,7 @@ SceneController.prototype.updateCameraPath = function(progress) {
             this._splineLoaderAdapter = {
                 cameraPath: this.splineLoader.cameraPath,
                 getPointOnPath: function(t) {
-                    return this.cameraPath.getPoint(Math.max(0, Math.min(t, 1)));
+                    return this.cameraPath.getPointAt(Math.max(0, Math.min(t, 1)));
                 }
             };
         }
@@ -791,7 +949,204 @@ SceneController.prototype.onWindowResize = function() {
     
     // Update renderer size
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    
+    // Section scroll positions move with the layout
+    this.updateSectionAnchors();
+};
+
+// Load the camera's keyframe track (offset, fov and look-ahead along the path) from a JSON file
+SceneController.prototype.loadCameraKeyframes = function(url) {
+    if (!url || !this.cameraController) return;
+    
+    CameraKeyframeTrack.load(url, (track) => {
+        if (track) {
+            this.cameraController.setKeyframes(track);
+        } else {
+            console.warn('Camera keeps its manual framing - no keyframes loaded from', url);
+        }
+    });
 };
 
+// Save the active camera path (and the camera's keyframes) as a path JSON file
+SceneController.prototype.downloadCameraPath = function(filename = 'camera_path.json') {
+    const json = this.splineLoader ? this.splineLoader.exportPathJSON({
+        keyframes: this.cameraController ? this.cameraController.keyframes : null
+    }) : null;
+    if (!json) {
+        console.warn('No camera path to export');
+        return null;
+    }
+    
+    const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    
+    console.log(`Exported camera path with ${json.points.length} points to ${filename}`);
+    return json;
+};
+
+// Point the camera's look-at mode at a path marker or named OBJ object (null clears it)
+SceneController.prototype.setCameraLookTarget = function(name) {
+    if (!this.cameraController) return false;
+    
+    const position = name && this.splineLoader ? this.splineLoader.getPathMarker(name) : null;
+    if (name && !position) {
+        console.warn(`Camera look target '${name}' not found in the scene`);
+        return false;
+    }
+    this.cameraLookTarget = position ? name : null;
+    this.cameraController.setLookTarget(position);
+    return true;
+};
+
+// Bind every element with a data-path-anchor or data-path-marker attribute to its place on the
+// camera path, and remap scroll so the camera reaches that place as the section is centred
+// on screen:
+//   data-path-anchor="0.4"     fraction of the path length, or the name of a path parameter
+//   data-path-marker="about"   OBJ object marker_about (or an object of that name), projected onto the path
+// A marker that can't be found falls back to the element's data-path-anchor.
+SceneController.prototype.bindSectionAnchors = function() {
+    this.sectionAnchors = [];
+    if (!this.splineLoader || !this.splineLoader.cameraPath) {
+        console.warn('No camera path to bind the page sections to');
+        return;
+    }
+    
+    document.querySelectorAll('[data-path-anchor], [data-path-marker]').forEach(element => {
+        const distance = this.resolveSectionAnchor(element);
+        if (distance !== null) {
+            this.sectionAnchors.push({ element: element, distance: distance, scroll: 0 });
+        }
+    });
+    
+    console.log(`Bound ${this.sectionAnchors.length} page sections to the camera path`);
+    if (this.sectionAnchors.length === 0 && this.cameraController) {
+        this.cameraController.setSectionAnchors(null);
+    }
+    this.updateSectionAnchors();
+};
+
+// Place along the path (0-1 of its length) an element is bound to, null if it can't be resolved
+SceneController.prototype.resolveSectionAnchor = function(element) {
+    const label = element.id || element.tagName.toLowerCase();
+    const marker = element.dataset.pathMarker;
+    if (marker) {
+        const position = this.splineLoader.getPathMarker(marker);
+        if (position) return this.splineLoader.getPathDistanceOfPoint(position);
+        console.warn(`Section ${label}: path marker '${marker}' not found`);
+    }
+    
+    const anchor = element.dataset.pathAnchor;
+    if (anchor === undefined || anchor === '') return null;
+    
+    const value = Number(anchor);
+    if (Number.isFinite(value)) return Math.max(0, Math.min(1, value));
+    
+    const named = this.splineLoader.pathParameters[anchor];
+    if (named !== undefined) return named;
+    
+    console.warn(`Section ${label}: '${anchor}' is neither a path fraction nor a named path parameter`);
+    return null;
+};
+
+// Measure where each bound section is centred on screen and remap scroll through those points:
+// the anchors pin the camera to each section's place, the speed profile from the path JSON's
+// speeds (if any) paces it in between
+SceneController.prototype.updateSectionAnchors = function() {
+    if (this.sectionAnchors.length === 0 || !this.cameraController) return;
+    
+    const scrollMax = document.body.scrollHeight - window.innerHeight;
+    if (scrollMax <= 0) return;
+    
+    const scrollY = window.scrollY || window.pageYOffset || 0;
+    this.sectionAnchors.forEach(anchor => {
+        const rect = anchor.element.getBoundingClientRect();
+        const centred = rect.top + scrollY + rect.height / 2 - window.innerHeight / 2;
+        anchor.scroll = Math.max(0, Math.min(scrollMax, centred));
+    });
+    this.sectionAnchors.sort((a, b) => a.scroll - b.scroll);
+    
+    this.cameraController.setSectionAnchors(this.sectionAnchors.map(anchor => ({
+        progress: anchor.scroll / scrollMax,
+        distance: anchor.distance
+    })));
+};
+
+// Switch snapping to the nearest section once scrolling stops
+SceneController.prototype.setSectionSnap = function(enabled) {
+    this.sectionSnap = !!enabled;
+    if (this.sectionSnap) {
+        this.snapToNearestSection();
+    } else {
+        this.cancelSectionSnap();
+    }
+    console.log(`Section snap ${this.sectionSnap ? 'enabled' : 'disabled'}`);
+};
+
+// Restart the wait for scrolling to stop (the snap's own scrolling doesn't count)
+SceneController.prototype.scheduleSectionSnap = function() {
+    if (!this.sectionSnap || this._sectionSnapTween) return;
+    
+    clearTimeout(this._scrollIdleTimer);
+    this._scrollIdleTimer = setTimeout(() => this.snapToNearestSection(), this.sectionSnapDelay);
+};
+
+// Ease the page (and with it the camera) to the bound section nearest the current scroll position
+SceneController.prototype.snapToNearestSection = function() {
+    const scrollY = window.scrollY || window.pageYOffset || 0;
+    let nearest = null;
+    this.sectionAnchors.forEach(anchor => {
+        if (!nearest || Math.abs(anchor.scroll - scrollY) < Math.abs(nearest.scroll - scrollY)) {
+            nearest = anchor;
+        }
+    });
+    
+    if (nearest && Math.abs(nearest.scroll - scrollY) > 1) {
+        this.snapToSection(nearest);
+    }
+};
+
+// Ease the page to a bound section - an anchor from sectionAnchors, its element or the element's id
+SceneController.prototype.snapToSection = function(section) {
+    const anchor = this.sectionAnchors.find(candidate =>
+        candidate === section || candidate.element === section || candidate.element.id === section);
+    if (!anchor) {
+        console.warn('No bound section to snap to:', section);
+        return;
+    }
+    
+    clearTimeout(this._scrollIdleTimer);
+    this._sectionSnapTween = {
+        from: window.scrollY || window.pageYOffset || 0,
+        to: anchor.scroll,
+        start: performance.now()
+    };
+};
+
+// Stop a running section snap where it is
+SceneController.prototype.cancelSectionSnap = function() {
+    this._sectionSnapTween = null;
+    clearTimeout(this._scrollIdleTimer);
+};
+
+// Advance a running section snap: ease-in-out scroll from where it started to the section
+SceneController.prototype.updateSectionSnap = function() {
+    const tween = this._sectionSnapTween;
+    if (!tween) return;
+    
+    const duration = Math.max(0.01, this.sectionSnapDuration) * 1000;
+    const t = Math.min(1, (performance.now() - tween.start) / duration);
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    window.scrollTo(0, tween.from + (tween.to - tween.from) * eased);
+    
+    if (t >= 1) this._sectionSnapTween = null;
+};
+
+// Tints handed out to the OBJ effectors, cycled in load order
+SceneController.EFFECTOR_TINTS = [0x00ffff, 0xff3cf0, 0xffb000, 0x7cff4f, 0x6a5cff];
+
 // Export the SceneController class
 window.SceneController = SceneController;
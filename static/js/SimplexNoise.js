@@ -0,0 +1,195 @@
+/**
+ * SimplexNoise.js
+ * Seeded 2D/3D simplex noise with fBm and domain warping, shared by GridManager and GridUpdateWorker
+ */
+
+class SimplexNoise {
+    constructor(seed = 0) {
+        this.seed = seed;
+        this.perm = new Uint8Array(512);  // Shuffled 0-255, repeated so lookups never wrap
+        this.setSeed(seed);
+    }
+
+    // Rebuild the permutation table - the same seed always gives the same noise
+    setSeed(seed) {
+        this.seed = seed;
+
+        // mulberry32: small, fast and identical in every JS engine
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        // Fisher-Yates shuffle of 0-255
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) p[i] = i;
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const tmp = p[i];
+            p[i] = p[j];
+            p[j] = tmp;
+        }
+
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+        }
+    }
+
+    // Dot product with one of 12 edge gradients, picked by the low bits of h (0-11).
+    // GridDisplacementShader's gridGradDot uses the same mapping.
+    gradDot(h, x, y, z) {
+        const a = (h & 1) ? -x : x;
+        if (h < 4) return a + ((h & 2) ? -y : y);
+        if (h < 8) return a + ((h & 2) ? -z : z);
+        return ((h & 1) ? -y : y) + ((h & 2) ? -z : z);
+    }
+
+    // 2D simplex noise in [-1, 1]
+    noise2D(xin, yin) {
+        const perm = this.perm;
+        const F2 = 0.5 * (Math.sqrt(3) - 1);  // Skew/unskew factors for the triangle grid
+        const G2 = (3 - Math.sqrt(3)) / 6;
+
+        const s = (xin + yin) * F2;
+        const i = Math.floor(xin + s);
+        const j = Math.floor(yin + s);
+        const t = (i + j) * G2;
+        const x0 = xin - (i - t);
+        const y0 = yin - (j - t);
+
+        // Which of the two triangles we're in
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        let n = 0;
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            t0 *= t0;
+            n += t0 * t0 * this.gradDot(perm[ii + perm[jj]] % 12, x0, y0, 0);
+        }
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            t1 *= t1;
+            n += t1 * t1 * this.gradDot(perm[ii + i1 + perm[jj + j1]] % 12, x1, y1, 0);
+        }
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            t2 *= t2;
+            n += t2 * t2 * this.gradDot(perm[ii + 1 + perm[jj + 1]] % 12, x2, y2, 0);
+        }
+
+        return 70 * n;
+    }
+
+    // 3D simplex noise in [-1, 1]
+    noise3D(xin, yin, zin) {
+        const perm = this.perm;
+        const F3 = 1 / 3;                     // Skew/unskew factors for the tetrahedron grid
+        const G3 = 1 / 6;
+
+        const s = (xin + yin + zin) * F3;
+        const i = Math.floor(xin + s);
+        const j = Math.floor(yin + s);
+        const k = Math.floor(zin + s);
+        const t = (i + j + k) * G3;
+        const x0 = xin - (i - t);
+        const y0 = yin - (j - t);
+        const z0 = zin - (k - t);
+
+        // Offsets of the second and third corners of the simplex we're in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0)      { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else               { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0)       { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0)  { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else               { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const x1 = x0 - i1 + G3;
+        const y1 = y0 - j1 + G3;
+        const z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3;
+        const y2 = y0 - j2 + 2 * G3;
+        const z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3;
+        const y3 = y0 - 1 + 3 * G3;
+        const z3 = z0 - 1 + 3 * G3;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+
+        let n = 0;
+        let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+        if (t0 > 0) {
+            t0 *= t0;
+            n += t0 * t0 * this.gradDot(perm[ii + perm[jj + perm[kk]]] % 12, x0, y0, z0);
+        }
+        let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+        if (t1 > 0) {
+            t1 *= t1;
+            n += t1 * t1 * this.gradDot(perm[ii + i1 + perm[jj + j1 + perm[kk + k1]]] % 12, x1, y1, z1);
+        }
+        let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+        if (t2 > 0) {
+            t2 *= t2;
+            n += t2 * t2 * this.gradDot(perm[ii + i2 + perm[jj + j2 + perm[kk + k2]]] % 12, x2, y2, z2);
+        }
+        let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+        if (t3 > 0) {
+            t3 *= t3;
+            n += t3 * t3 * this.gradDot(perm[ii + 1 + perm[jj + 1 + perm[kk + 1]]] % 12, x3, y3, z3);
+        }
+
+        return 32 * n;
+    }
+
+    // Fractal Brownian motion: octaves of 3D noise, each lacunarity x the frequency and
+    // gain x the amplitude of the last, normalised back to [-1, 1]
+    fbm3D(x, y, z, octaves = 1, lacunarity = 2, gain = 0.5) {
+        let sum = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let norm = 0;
+
+        for (let o = 0; o < octaves; o++) {
+            sum += amplitude * this.noise3D(x * frequency, y * frequency, z * frequency);
+            norm += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return norm > 0 ? sum / norm : 0;
+    }
+
+    // fBm sampled at a position displaced by two other fBm fields (domain warping).
+    // warp is the displacement in noise units, 0 gives plain fBm.
+    warpedFbm3D(x, y, z, octaves = 1, lacunarity = 2, gain = 0.5, warp = 0) {
+        if (warp > 0) {
+            const qx = this.fbm3D(x + 5.2, y + 1.3, z, octaves, lacunarity, gain);
+            const qy = this.fbm3D(x + 1.7, y + 9.2, z, octaves, lacunarity, gain);
+            x += warp * qx;
+            y += warp * qy;
+        }
+
+        return this.fbm3D(x, y, z, octaves, lacunarity, gain);
+    }
+}
+
+// Export for both the page (window) and GridUpdateWorker (worker global scope)
+self.SimplexNoise = SimplexNoise;
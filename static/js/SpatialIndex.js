@@ -0,0 +1,43 @@
+/**
+ * SpatialIndex.js
+ * Common interface for the spatial indexes GridManager can query cubes through
+ */
+
+// Items are integer ids whose positions live in shared arrays (see QuadTree and LatticeIndex).
+// Ranges use the same shapes everywhere:
+//   circle: {x, z, radius}
+//   rect:   {x, z, width, height} - centre and half extents, like QuadTree boundaries
+class SpatialIndex {
+    // Add an item id, returns false if it lies outside the index
+    insert(item) {
+        throw new Error(`${this.constructor.name} does not implement insert`);
+    }
+
+    // Remove an item id (at its current position), returns false if it isn't in the index
+    remove(item) {
+        throw new Error(`${this.constructor.name} does not implement remove`);
+    }
+
+    // Push every item id inside the circle onto found
+    query(range, found = []) {
+        throw new Error(`${this.constructor.name} does not implement query`);
+    }
+
+    // Push every item id inside the rectangle onto found
+    queryRect(range, found = []) {
+        throw new Error(`${this.constructor.name} does not implement queryRect`);
+    }
+
+    // Every item id in the index (for debugging or visualization)
+    getAllItems() {
+        throw new Error(`${this.constructor.name} does not implement getAllItems`);
+    }
+
+    // Remove all items
+    clear() {
+        throw new Error(`${this.constructor.name} does not implement clear`);
+    }
+}
+
+// Export the SpatialIndex class
+window.SpatialIndex = SpatialIndex;
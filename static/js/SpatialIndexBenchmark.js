@@ -0,0 +1,127 @@
+/**
+ * SpatialIndexBenchmark.js
+ * Compares QuadTree and LatticeIndex build and query times on the grid SceneController creates
+ */
+
+const SpatialIndexBenchmark = {
+    // Matches SceneController.initializeGridManager and the GridManager defaults it relies on
+    defaults: {
+        gridSizeX: 350,
+        gridSizeZ: 1000,
+        spacing: 1.6,
+        gridX: 0,
+        gridZ: -50,
+        lodFactor: 2,
+        queries: 500,                 // Queries per case
+        radii: [48, 100, 150]         // Effector reach x 1.2, cullingDistance, a wide view
+    },
+
+    // Build both indexes over the same cube positions and time circle and rectangle queries.
+    // Returns one row per index and query case.
+    run(options = {}) {
+        const config = Object.assign({}, this.defaults, options);
+        const halfX = (config.gridSizeX - 1) * config.spacing / 2;
+        const halfZ = (config.gridSizeZ - 1) * config.spacing / 2;
+        const count = config.gridSizeX * config.gridSizeZ;
+
+        // Cube positions laid out exactly as GridManager.createGrid does
+        const points = { x: new Float32Array(count), z: new Float32Array(count), depth: new Uint8Array(count) };
+        for (let ix = 0; ix < config.gridSizeX; ix++) {
+            for (let iz = 0; iz < config.gridSizeZ; iz++) {
+                const i = ix * config.gridSizeZ + iz;
+                points.x[i] = ix * config.spacing - halfX + config.gridX;
+                points.z[i] = iz * config.spacing - halfZ + config.gridZ;
+            }
+        }
+
+        const indexes = {
+            quadtree: () => new QuadTree({
+                x: config.gridX,
+                z: config.gridZ,
+                width: halfX + 100,
+                height: halfZ + 100
+            }, Math.max(4, Math.round(8 * config.lodFactor)), 0, points),
+            lattice: () => new LatticeIndex({
+                originX: config.gridX - halfX,
+                originZ: config.gridZ - halfZ,
+                spacing: config.spacing,
+                countX: config.gridSizeX,
+                countZ: config.gridSizeZ
+            }, points)
+        };
+
+        // The same query centres for both indexes, spread over the grid
+        const centres = [];
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        for (let q = 0; q < config.queries; q++) {
+            centres.push({
+                x: config.gridX + (random() * 2 - 1) * halfX,
+                z: config.gridZ + (random() * 2 - 1) * halfZ
+            });
+        }
+
+        const results = [];
+        const found = [];
+        for (const name in indexes) {
+            let start = performance.now();
+            const index = indexes[name]();
+            for (let i = 0; i < count; i++) {
+                index.insert(i);
+            }
+            const buildMs = performance.now() - start;
+
+            for (const radius of config.radii) {
+                for (const shape of ['circle', 'rect']) {
+                    let items = 0;
+                    start = performance.now();
+                    for (const centre of centres) {
+                        found.length = 0;
+                        if (shape === 'circle') {
+                            index.query({ x: centre.x, z: centre.z, radius }, found);
+                        } else {
+                            index.queryRect({ x: centre.x, z: centre.z, width: radius, height: radius }, found);
+                        }
+                        items += found.length;
+                    }
+                    const elapsed = performance.now() - start;
+
+                    results.push({
+                        index: name,
+                        shape,
+                        radius,
+                        buildMs,
+                        msPerQuery: elapsed / centres.length,
+                        itemsPerQuery: items / centres.length
+                    });
+                }
+            }
+        }
+
+        console.table(results);
+        return results;
+    },
+
+    // Run with the defaults and fill a table element with the results
+    renderTo(table, options = {}) {
+        const results = this.run(options);
+        const rows = results.map(result => `<tr>
+            <td>${result.index}</td>
+            <td>${result.shape}</td>
+            <td>${result.radius}</td>
+            <td>${result.buildMs.toFixed(1)}</td>
+            <td>${result.msPerQuery.toFixed(4)}</td>
+            <td>${Math.round(result.itemsPerQuery)}</td>
+        </tr>`);
+        table.innerHTML = `<tr>
+            <th>Index</th><th>Query</th><th>Radius</th><th>Build (ms)</th><th>ms / query</th><th>Items / query</th>
+        </tr>` + rows.join('');
+        return results;
+    }
+};
+
+// Export the benchmark
+window.SpatialIndexBenchmark = SpatialIndexBenchmark;
@@ -0,0 +1,147 @@
+/**
+ * SpeedProfile.js
+ * Maps scroll progress to distance along the camera path, so the camera can linger at
+ * points of interest and hurry through the stretches between them
+ */
+
+// SpeedProfile - a monotone curve through (progress, distance) keys, both 0 to 1.
+// keys: [{progress, distance}] or [[progress, distance]]; (0, 0) and (1, 1) are added if missing.
+// A flat stretch of the curve slows the camera down, a steep one speeds it up.
+function SpeedProfile(keys) {
+    const points = (keys || []).map(function(key) {
+        return Array.isArray(key) ? { progress: key[0], distance: key[1] } : { progress: key.progress, distance: key.distance };
+    }).filter(function(key) {
+        return Number.isFinite(key.progress) && Number.isFinite(key.distance);
+    }).map(function(key) {
+        return { progress: Math.max(0, Math.min(1, key.progress)), distance: Math.max(0, Math.min(1, key.distance)) };
+    }).sort(function(a, b) {
+        return a.progress - b.progress;
+    });
+
+    if (points.length === 0 || points[0].progress > 0) points.unshift({ progress: 0, distance: 0 });
+    if (points[points.length - 1].progress < 1) points.push({ progress: 1, distance: 1 });
+
+    // The camera never travels backwards - distances have to keep growing with progress
+    this.keyProgress = [];
+    this.keyDistance = [];
+    let lastDistance = 0;
+    for (let k = 0; k < points.length; k++) {
+        if (k > 0 && points[k].progress === points[k - 1].progress) continue;
+        if (points[k].distance < lastDistance) {
+            console.warn(`Speed profile key at progress ${points[k].progress} goes backwards, holding distance ${lastDistance}`);
+        }
+        lastDistance = Math.max(lastDistance, points[k].distance);
+        this.keyProgress.push(points[k].progress);
+        this.keyDistance.push(lastDistance);
+    }
+
+    this._computeTangents();
+}
+
+// Fritsch-Carlson tangents: cubic Hermite segments that never overshoot, so the
+// mapping stays monotone and the camera eases between keys instead of jerking
+SpeedProfile.prototype._computeTangents = function() {
+    const n = this.keyProgress.length;
+    const slopes = [];
+    for (let k = 0; k < n - 1; k++) {
+        slopes.push((this.keyDistance[k + 1] - this.keyDistance[k]) / (this.keyProgress[k + 1] - this.keyProgress[k]));
+    }
+
+    const tangents = new Array(n);
+    tangents[0] = slopes[0];
+    tangents[n - 1] = slopes[n - 2];
+    for (let k = 1; k < n - 1; k++) {
+        tangents[k] = slopes[k - 1] * slopes[k] <= 0 ? 0 : (slopes[k - 1] + slopes[k]) / 2;
+    }
+
+    for (let k = 0; k < n - 1; k++) {
+        if (slopes[k] === 0) {
+            tangents[k] = 0;
+            tangents[k + 1] = 0;
+            continue;
+        }
+        const a = tangents[k] / slopes[k];
+        const b = tangents[k + 1] / slopes[k];
+        const length = a * a + b * b;
+        if (length > 9) {
+            const scale = 3 / Math.sqrt(length);
+            tangents[k] = scale * a * slopes[k];
+            tangents[k + 1] = scale * b * slopes[k];
+        }
+    }
+
+    this.tangents = tangents;
+};
+
+// Distance along the path (0-1 of its length) at scroll progress (0-1)
+SpeedProfile.prototype.map = function(progress) {
+    const p = Math.max(0, Math.min(1, progress || 0));
+    const keys = this.keyProgress;
+
+    let k = 0;
+    while (k < keys.length - 2 && p > keys[k + 1]) k++;
+
+    const h = keys[k + 1] - keys[k];
+    const t = (p - keys[k]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return Math.max(0, Math.min(1,
+        (2 * t3 - 3 * t2 + 1) * this.keyDistance[k] +
+        (t3 - 2 * t2 + t) * h * this.tangents[k] +
+        (-2 * t3 + 3 * t2) * this.keyDistance[k + 1] +
+        (t3 - t2) * h * this.tangents[k + 1]));
+};
+
+// Scroll progress at which the camera first reaches a distance along the path (inverse of map)
+SpeedProfile.prototype.invert = function(distance) {
+    const d = Math.max(0, Math.min(1, distance || 0));
+    let low = 0;
+    let high = 1;
+    for (let step = 0; step < 40; step++) {
+        const mid = (low + high) / 2;
+        if (this.map(mid) < d) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return high;
+};
+
+// Build a profile from relative speeds along the path: stops [{distance, speed}] with distance
+// 0-1 of the path length and speed 1 = normal, 0.25 = a quarter as fast. Speeds blend linearly
+// between stops; scrolling spends progress in proportion to the time each stretch takes.
+SpeedProfile.fromSpeeds = function(stops, samples = 64) {
+    const sorted = (stops || []).filter(function(stop) {
+        return Number.isFinite(stop.distance) && stop.speed > 0;
+    }).sort(function(a, b) {
+        return a.distance - b.distance;
+    });
+    if (sorted.length === 0) return new SpeedProfile([]);
+
+    const speedAt = function(d) {
+        if (d <= sorted[0].distance) return sorted[0].speed;
+        for (let s = 1; s < sorted.length; s++) {
+            if (d <= sorted[s].distance) {
+                const f = (d - sorted[s - 1].distance) / (sorted[s].distance - sorted[s - 1].distance);
+                return sorted[s - 1].speed + (sorted[s].speed - sorted[s - 1].speed) * f;
+            }
+        }
+        return sorted[sorted.length - 1].speed;
+    };
+
+    // Time to cover each slice of the path, midpoint rule
+    const times = [0];
+    for (let k = 0; k < samples; k++) {
+        times.push(times[k] + 1 / samples / speedAt((k + 0.5) / samples));
+    }
+
+    const keys = [];
+    for (let k = 0; k <= samples; k++) {
+        keys.push({ progress: times[k] / times[samples], distance: k / samples });
+    }
+    return new SpeedProfile(keys);
+};
+
+// Export the SpeedProfile class
+window.SpeedProfile = SpeedProfile;
@@ -1,6 +1,7 @@
 /**
  * SplineLoader.js
- * Loads an FBX scene and extracts a CatmullRomCurve3 from an object named 'camera_path'.
+ * Loads an FBX scene and extracts a CatmullRomCurve3 from an object named 'camera_path',
+ * or reads one from a camera path JSON file (see loadPathJSON).
  */
 
 function SplineLoader(scene) {
@@ -11,16 +12,36 @@ function SplineLoader(scene) {
     this.pathPoints = [];
     this.effectors = []; // Initialize the effectors array
     this.roadObject = null; // Store the road object for collision detection
+    this.sceneObject = null; // Root of the last loaded OBJ scene
+    this.pathMarkers = {}; // Named places along the path: marker name -> world position (see findPathMarkers)
+    this.pathParameters = {}; // Named path positions: name -> fraction of the path length (0-1)
+    this.pathSettings = Object.assign({}, SplineLoader.DEFAULT_PATH_SETTINGS); // Curve options of the active path
+    this.pathMetadata = null; // metadata block of the last loaded path JSON
+    this.pathKeyframes = null; // Camera keyframes shipped in the last loaded path JSON (see CameraKeyframeTrack)
+    this.pathSpeeds = null; // Speed stops [{distance, speed}] shipped in the last loaded path JSON (see SpeedProfile.fromSpeeds)
+    this.defaultPathURL = null; // Path JSON to use when the OBJ has no camera_path (sine wave if unset or it fails)
 }
 
-// Returns a point on the camera path at parameter t (0 to 1)
+// Returns the point a fraction t (0 to 1) of the way along the camera path by arc length,
+// so equal steps in t cover equal distances however unevenly the path vertices are spaced
 SplineLoader.prototype.getPointOnPath = function(t) {
-    if (this.cameraPath && typeof this.cameraPath.getPoint === 'function') {
-        return this.cameraPath.getPoint(t);
+    if (this.cameraPath && typeof this.cameraPath.getPointAt === 'function') {
+        return this.cameraPath.getPointAt(Math.max(0, Math.min(t, 1)));
     }
     return null;
 };
 
+// Build the camera path curve through the given points. Arc-length lookups (getPointAt) are
+// interpolated from arcLengthDivisions samples, so long paths with many vertices get more of them.
+// settings: {curveType, closed, tension} (see SplineLoader.CURVE_TYPES), defaults to DEFAULT_PATH_SETTINGS
+SplineLoader.prototype._createPathCurve = function(points, settings) {
+    const options = Object.assign({}, SplineLoader.DEFAULT_PATH_SETTINGS, settings);
+    const curve = new THREE.CatmullRomCurve3(points, options.closed, options.curveType, options.tension);
+    curve.arcLengthDivisions = Math.max(200, points.length * 8);
+    this.pathSettings = { curveType: options.curveType, closed: options.closed, tension: options.tension };
+    return curve;
+};
+
 // Loads an OBJ scene and extracts the camera path
 SplineLoader.prototype.loadOBJModel = function(url, callback) {
     const self = this;
@@ -202,6 +223,8 @@ SplineLoader.prototype.loadOBJModel = function(url, callback) {
         // Skip mesh collection, just add the objects directly
         console.log('Adding the scene to the main scene...');
         self.scene.add(object);
+        self.sceneObject = object;
+        self.findPathMarkers(object);
         
         // Count meshes in the scene
         console.log(`Added ${self.instancedMeshes.length} visible meshes to the scene`);
@@ -212,7 +235,7 @@ SplineLoader.prototype.loadOBJModel = function(url, callback) {
             console.log('Found camera path object:', cameraPathObj);
             const points = self._extractPoints(cameraPathObj);
             if (points.length > 0) {
-                self.cameraPath = new THREE.CatmullRomCurve3(points);
+                self.cameraPath = self._createPathCurve(points);
                 console.log('Created camera path with', points.length, 'points');
                 
                 // Create a visual representation of the path (for debugging)
@@ -223,6 +246,16 @@ SplineLoader.prototype.loadOBJModel = function(url, callback) {
                 const curve = new THREE.Line(geometry, material);
                 self.scene.add(curve);
             }
+        } else if (self.defaultPathURL) {
+            console.log('No camera path found, loading default path from', self.defaultPathURL);
+            self.loadPathJSON(self.defaultPathURL, function(loader, error) {
+                if (error) {
+                    console.log('Default path unavailable, creating sine wave path');
+                    self.createSineWaveSpline();
+                }
+                if (callback) callback(self);
+            });
+            return;
         } else {
             console.log('No camera path found, creating default path');
             self.createSineWaveSpline();
@@ -246,6 +279,80 @@ SplineLoader.prototype._findObjectByName = function(object, name) {
     return null;
 };
 
+// Collect objects named marker_<name> or anchor_<name> as named places along the camera path
+SplineLoader.prototype.findPathMarkers = function(object) {
+    this.pathMarkers = {};
+    const pattern = /^(?:marker|anchor)[_\-\s]+(.+)$/;
+    object.updateMatrixWorld(true);
+    object.traverse(child => {
+        const match = pattern.exec((child.name || '').toLowerCase());
+        if (!match) return;
+        
+        // Marker meshes sit where they were modelled, their geometry isn't centred on the origin
+        const position = new THREE.Vector3();
+        if (child.geometry) {
+            new THREE.Box3().setFromObject(child).getCenter(position);
+        } else {
+            child.getWorldPosition(position);
+        }
+        this.pathMarkers[match[1]] = position;
+    });
+    
+    const names = Object.keys(this.pathMarkers);
+    console.log(`Found ${names.length} path markers${names.length ? ': ' + names.join(', ') : ''}`);
+    return this.pathMarkers;
+};
+
+// World position of a path marker by name (marker_<name> objects, or any object with that exact name)
+SplineLoader.prototype.getPathMarker = function(name) {
+    const key = (name || '').toLowerCase();
+    if (this.pathMarkers[key]) return this.pathMarkers[key].clone();
+    
+    const object = this.sceneObject ? this._findObjectByName(this.sceneObject, name) : null;
+    if (!object) return null;
+    
+    const position = new THREE.Vector3();
+    object.updateMatrixWorld(true);
+    if (object.geometry) {
+        new THREE.Box3().setFromObject(object).getCenter(position);
+    } else {
+        object.getWorldPosition(position);
+    }
+    return position;
+};
+
+// Fraction of the camera path's length (0-1) at which the path passes closest to a point
+SplineLoader.prototype.getPathDistanceOfPoint = function(point, samples = 400) {
+    if (!this.cameraPath) return null;
+    
+    const sample = new THREE.Vector3();
+    const distanceAt = (u) => this.cameraPath.getPointAt(u, sample).distanceToSquared(point);
+    
+    // Coarse pass over evenly spaced samples, then narrow down around the best one
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let k = 0; k <= samples; k++) {
+        const d = distanceAt(k / samples);
+        if (d < bestDistance) {
+            bestDistance = d;
+            best = k / samples;
+        }
+    }
+    
+    let low = Math.max(0, best - 1 / samples);
+    let high = Math.min(1, best + 1 / samples);
+    for (let step = 0; step < 30; step++) {
+        const a = low + (high - low) / 3;
+        const b = high - (high - low) / 3;
+        if (distanceAt(a) < distanceAt(b)) {
+            high = b;
+        } else {
+            low = a;
+        }
+    }
+    return (low + high) / 2;
+};
+
 // Extracts world-space points from geometry
 SplineLoader.prototype._extractPoints = function(obj) {
     const points = [];
@@ -459,6 +566,191 @@ SplineLoader.prototype.getInstancedMeshes = function() {
     return this.instancedMeshes;
 };
 
+// Get the loaded meshes whose lower-case name matches a pattern (invert = those that don't).
+// The camera path and path markers are never included - they guide the camera, they aren't scenery.
+SplineLoader.prototype.getMeshesByName = function(pattern, invert = false) {
+    return this.getInstancedMeshes().filter(mesh => {
+        const name = (mesh.name || '').toLowerCase();
+        return !SplineLoader.HELPER_PATTERN.test(name) && pattern.test(name) !== invert;
+    });
+};
+
+// Get the meshes the grid can rest on: anything named like ground/terrain/floor or a road
+SplineLoader.prototype.getGroundMeshes = function() {
+    const meshes = this.getMeshesByName(SplineLoader.GROUND_PATTERN);
+    console.log(`Found ${meshes.length} ground meshes: ${meshes.map(mesh => mesh.name).join(', ')}`);
+    return meshes;
+};
+
+// Loads a camera path from a JSON file (see parsePathJSON for the format) and makes it the active
+// path; callback(self) once loaded, callback(null, error) if the file is missing or malformed
+SplineLoader.prototype.loadPathJSON = function(url, callback) {
+    const self = this;
+    console.log('Loading camera path from:', url);
+    
+    const loader = new THREE.FileLoader();
+    loader.load(url, function(text) {
+        try {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Camera path ${url} is not valid JSON: ${error.message}`);
+            }
+            self.parsePathJSON(data, url);
+        } catch (error) {
+            console.error(error.message);
+            if (callback) callback(null, error);
+            return;
+        }
+        if (callback) callback(self);
+    }, undefined, function(event) {
+        const status = event && event.target && event.target.status;
+        const error = new Error(`Could not load camera path ${url}${status ? ' (HTTP ' + status + ')' : ''}`);
+        console.error(error.message);
+        if (callback) callback(null, error);
+    });
+};
+
+// Validates parsed camera path JSON and makes it the active path. The format:
+//   metadata   {version, type: 'CameraPath', generator} (optional, type checked when present)
+//   points     at least two {x, y, z} or [x, y, z] points
+//   curveType  'centripetal' (default), 'chordal' or 'catmullrom' (see SplineLoader.CURVE_TYPES)
+//   closed     true to loop back from the last point to the first
+//   tension    0-1, how tightly a 'catmullrom' curve bends at the points (default 0.5)
+//   parameters named places along the path, {name: fraction of its length} (see pathParameters)
+//   keyframes  camera keyframes along the path (see CameraKeyframeTrack)
+//   speeds     [{distance, speed}] camera speed along the path - distance 0-1 of its length, speed
+//              1 = normal, 0.25 = a quarter as fast (see SpeedProfile.fromSpeeds)
+// Throws an Error saying what is wrong rather than loading part of a path.
+SplineLoader.prototype.parsePathJSON = function(data, source = 'camera path JSON') {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${source}: expected an object with a "points" list`);
+    }
+    if (data.metadata && data.metadata.type && data.metadata.type !== 'CameraPath') {
+        throw new Error(`${source}: metadata.type is '${data.metadata.type}', expected 'CameraPath'`);
+    }
+    if (!Array.isArray(data.points) || data.points.length < 2) {
+        throw new Error(`${source}: "points" must list at least 2 points`);
+    }
+    
+    const points = data.points.map(function(point, p) {
+        const x = Array.isArray(point) ? point[0] : point && point.x;
+        const y = Array.isArray(point) ? point[1] : point && point.y;
+        const z = Array.isArray(point) ? point[2] : point && point.z;
+        if (![x, y, z].every(Number.isFinite)) {
+            throw new Error(`${source}: point ${p} is not {x, y, z} numbers: ${JSON.stringify(point)}`);
+        }
+        return new THREE.Vector3(x, y, z);
+    });
+    
+    const curveType = data.curveType !== undefined ? data.curveType : 'centripetal';
+    if (SplineLoader.CURVE_TYPES.indexOf(curveType) === -1) {
+        throw new Error(`${source}: curveType '${curveType}' should be one of: ${SplineLoader.CURVE_TYPES.join(', ')}`);
+    }
+    if (data.closed !== undefined && typeof data.closed !== 'boolean') {
+        throw new Error(`${source}: "closed" should be true or false`);
+    }
+    const tension = data.tension !== undefined ? data.tension : 0.5;
+    if (!Number.isFinite(tension) || tension < 0 || tension > 1) {
+        throw new Error(`${source}: tension ${JSON.stringify(data.tension)} should be a number from 0 to 1`);
+    }
+    if (data.tension !== undefined && curveType !== 'catmullrom') {
+        console.warn(`${source}: tension only shapes 'catmullrom' curves, not '${curveType}'`);
+    }
+    
+    const parameters = {};
+    Object.keys(data.parameters || {}).forEach(function(name) {
+        const value = data.parameters[name];
+        if (!Number.isFinite(value) || value < 0 || value > 1) {
+            throw new Error(`${source}: path parameter '${name}' should be a fraction of the path from 0 to 1`);
+        }
+        parameters[name] = value;
+    });
+    if (data.keyframes !== undefined && !Array.isArray(data.keyframes)) {
+        throw new Error(`${source}: "keyframes" should be a list`);
+    }
+    
+    let speeds = null;
+    if (data.speeds !== undefined) {
+        if (!Array.isArray(data.speeds) || data.speeds.length === 0) {
+            throw new Error(`${source}: "speeds" should be a list of {distance, speed} stops`);
+        }
+        speeds = data.speeds.map(function(stop, s) {
+            if (!stop || !Number.isFinite(stop.distance) || stop.distance < 0 || stop.distance > 1) {
+                throw new Error(`${source}: speed stop ${s} needs a distance from 0 to 1: ${JSON.stringify(stop)}`);
+            }
+            if (!Number.isFinite(stop.speed) || stop.speed <= 0) {
+                throw new Error(`${source}: speed stop ${s} needs a speed above 0: ${JSON.stringify(stop)}`);
+            }
+            return { distance: stop.distance, speed: stop.speed };
+        });
+    }
+    
+    // Everything checks out - make it the active path
+    this.cameraPath = this._createPathCurve(points, { curveType: curveType, closed: !!data.closed, tension: tension });
+    this.pathPoints = points;
+    this.pathMetadata = data.metadata || null;
+    this.pathParameters = parameters;
+    this.pathKeyframes = data.keyframes || null;
+    this.pathSpeeds = speeds;
+    console.log(`Created ${this.pathSettings.closed ? 'closed ' : ''}${curveType} camera path with ${points.length} points from ${source}`);
+    return this.cameraPath;
+};
+
+// The active path in the JSON format parsePathJSON reads. extras: {keyframes} - a
+// CameraKeyframeTrack or keyframe list to ship alongside the path, {speeds} - speed stops
+// in place of the ones the path was loaded with
+SplineLoader.prototype.exportPathJSON = function(extras = {}) {
+    if (!this.cameraPath) return null;
+    
+    const round = (value) => Math.round(value * 1e4) / 1e4;
+    const json = {
+        metadata: {
+            version: (this.pathMetadata && this.pathMetadata.version) || SplineLoader.PATH_FORMAT_VERSION,
+            type: 'CameraPath',
+            generator: 'ThreeJSPortfolio'
+        },
+        curveType: this.pathSettings.curveType,
+        closed: this.pathSettings.closed,
+        points: this.cameraPath.points.map(point => ({ x: round(point.x), y: round(point.y), z: round(point.z) }))
+    };
+    
+    // Tension only shapes 'catmullrom' curves (parsePathJSON warns about it on the others)
+    if (this.pathSettings.curveType === 'catmullrom') {
+        json.tension = this.pathSettings.tension;
+    }
+    if (Object.keys(this.pathParameters).length > 0) {
+        json.parameters = Object.assign({}, this.pathParameters);
+    }
+    const speeds = extras.speeds || this.pathSpeeds;
+    if (speeds) {
+        json.speeds = speeds.map(stop => ({ distance: stop.distance, speed: stop.speed }));
+    }
+    const keyframes = extras.keyframes || this.pathKeyframes;
+    if (keyframes) {
+        json.keyframes = typeof keyframes.toJSON === 'function' ? keyframes.toJSON() : keyframes;
+    }
+    return json;
+};
+
+// Catmull-Rom variants a path JSON can ask for - see THREE.CatmullRomCurve3
+SplineLoader.CURVE_TYPES = ['centripetal', 'chordal', 'catmullrom'];
+
+// Curve options of paths that don't set their own (the OBJ's camera_path, the sine wave)
+SplineLoader.DEFAULT_PATH_SETTINGS = { curveType: 'centripetal', closed: false, tension: 0.5 };
+
+// Path JSON version written when the active path didn't come with one
+SplineLoader.PATH_FORMAT_VERSION = 4.5;
+
+// Mesh names treated as ground, and the roads among them - whole words of the name only, so
+// 'road_01' or 'main street' match but 'railroads' or 'groundskeeper' don't
+SplineLoader.GROUND_PATTERN = /(^|[_\s.-])(ground|terrain|floor|road|track|street)([_\s.-]|$)/;
+SplineLoader.ROAD_PATTERN = /(^|[_\s.-])(road|track|street)([_\s.-]|$)/;
+
+// Objects that guide the camera rather than being part of the scene: the camera path and path markers
+SplineLoader.HELPER_PATTERN = /^(camera_path([_\s.-]|$)|(marker|anchor)[_\-\s])/;
+
 // Creates a simple sine wave spline for testing
 SplineLoader.prototype.createSineWaveSpline = function(numPoints = 40) {
     const points = [];
@@ -476,7 +768,7 @@ SplineLoader.prototype.createSineWaveSpline = function(numPoints = 40) {
     }
     
     // Create a smooth curve through the points
-    this.cameraPath = new THREE.CatmullRomCurve3(points);
+    this.cameraPath = this._createPathCurve(points);
     console.log('Created sine wave spline with', points.length, 'points');
     return this.cameraPath;
 };
@@ -13,6 +13,8 @@ function UIController(sceneController, cameraController, gridManager) {
         camera: {
             offset: this.cameraController.offset.clone(),
             lookAhead: this.cameraController.lookAhead,
+            orientationMode: this.cameraController.orientationMode,
+            bankingStrength: this.cameraController.bankingStrength,
             smoothing: this.cameraController.smoothing,
             mouseRotation: { ...this.cameraController.mouseRotation }
         },
@@ -20,6 +22,13 @@ function UIController(sceneController, cameraController, gridManager) {
             noiseAmplitude: this.gridManager.noiseAmplitude,
             noiseScale: this.gridManager.noiseScale,
             noiseSpeed: this.gridManager.noiseSpeed,
+            noise: {
+                seed: this.gridManager.noiseSeed,
+                octaves: this.gridManager.noiseOctaves,
+                lacunarity: this.gridManager.noiseLacunarity,
+                gain: this.gridManager.noiseGain,
+                warp: this.gridManager.noiseWarp
+            },
             maxCubesPerFrame: this.gridManager.config.maxCubesPerFrame,
             cullingDistance: this.gridManager.config.cullingDistance,
             updateInterval: this.gridManager.config.updateInterval
@@ -119,6 +128,19 @@ UIController.prototype.createGeneralControls = function() {
         console.log('FPS limit set to:', value);
     });
     
+    // Animation clock (also 'P', '[' and ']' on the keyboard)
+    this.createSlider(section, 'Time Scale', 0, 4, this.sceneController.timeScale, 0.1, function(value) {
+        self.sceneController.setTimeScale(value);
+    });
+    
+    this.createCheckbox(section, 'Pause Animation', this.sceneController.paused, function(checked) {
+        if (checked) {
+            self.sceneController.pause();
+        } else {
+            self.sceneController.resume();
+        }
+    });
+    
     // Fullscreen toggle
     this.createButton(section, 'Toggle Fullscreen', function() {
         if (!document.fullscreenElement) {
@@ -295,6 +317,39 @@ UIController.prototype.createCameraControls = function() {
         self.cameraController.smoothing = value;
     });
     
+    // Keyframed framing along the path - the offset sliders nudge it while it's on
+    this.createCheckbox(section, 'Keyframed Framing', this.cameraController.keyframesEnabled, function(checked) {
+        self.cameraController.setKeyframesEnabled(checked);
+    });
+    
+    // Orientation: fixed world offset, chase along the path tangent, or turn towards a named object
+    const viewModeSelect = this.createDropdown(section, 'View Mode', [
+        { value: 'fixed', label: 'Fixed Offset' },
+        { value: 'chase', label: 'Chase (Banking)' },
+        { value: 'lookAt', label: 'Look At Target' }
+    ], function(value) {
+        self.cameraController.setOrientationMode(value);
+    });
+    viewModeSelect.value = this.cameraController.orientationMode;
+    
+    // Look targets: the path markers found in the OBJ
+    const markerNames = this.sceneController.splineLoader ? Object.keys(this.sceneController.splineLoader.pathMarkers) : [];
+    const lookTargetSelect = this.createDropdown(section, 'Look Target',
+        [{ value: '', label: markerNames.length ? 'None' : 'None (no markers)' }].concat(markerNames.map(function(name) {
+            return { value: name, label: name };
+        })), function(value) {
+            self.sceneController.setCameraLookTarget(value || null);
+        });
+    lookTargetSelect.value = this.sceneController.cameraLookTarget || '';
+    
+    this.createSlider(section, 'Look Ahead', 0, 0.1, this.cameraController.lookAhead, 0.005, function(value) {
+        self.cameraController.setLookAhead(value);
+    });
+    
+    this.createSlider(section, 'Banking', 0, 4, this.cameraController.bankingStrength, 0.1, function(value) {
+        self.cameraController.bankingStrength = value;
+    });
+    
     // Mouse rotation controls
     this.createCheckbox(section, 'Enable Mouse Rotation', this.cameraController.mouseRotation.enabled, function(checked) {
         self.cameraController.mouseRotation.enabled = checked;
@@ -313,10 +368,26 @@ UIController.prototype.createCameraControls = function() {
         self.cameraController.mouseRotation.damping = value;
     });
     
+    // Ease to the nearest page section (and its place on the path) once scrolling stops
+    this.createCheckbox(section, 'Snap To Sections', this.sceneController.sectionSnap, function(checked) {
+        self.sceneController.setSectionSnap(checked);
+    });
+    
+    this.createSlider(section, 'Snap Duration', 0.3, 3, this.sceneController.sectionSnapDuration, 0.1, function(value) {
+        self.sceneController.sectionSnapDuration = value;
+    });
+    
+    // Save the active path in the path JSON format (see SplineLoader.exportPathJSON)
+    this.createButton(section, 'Export Camera Path', function() {
+        self.sceneController.downloadCameraPath();
+    });
+    
     // Reset button
     this.createButton(section, 'Reset Camera', function() {
         self.cameraController.offset.copy(self.originalValues.camera.offset);
         self.cameraController.lookAhead = self.originalValues.camera.lookAhead;
+        self.cameraController.orientationMode = self.originalValues.camera.orientationMode;
+        self.cameraController.bankingStrength = self.originalValues.camera.bankingStrength;
         self.cameraController.smoothing = self.originalValues.camera.smoothing;
         self.cameraController.mouseRotation = { ...self.originalValues.camera.mouseRotation };
         self.updateUIValues();
@@ -336,10 +407,32 @@ UIController.prototype.createGridControls = function() {
         self.gridManager.setNoiseParameters(undefined, value, undefined);
     });
     
-    this.createSlider(section, 'Noise Speed', 0.8, 10, this.gridManager.noiseSpeed, 0.1, function(value) {
+    this.createSlider(section, 'Noise Speed', 0.1, 10, this.gridManager.noiseSpeed, 0.1, function(value) {
         self.gridManager.setNoiseParameters(undefined, undefined, value);
     });
     
+    // Fractal (fBm) noise shape
+    this.createSlider(section, 'Noise Octaves', 1, 8, this.gridManager.noiseOctaves, 1, function(value) {
+        self.gridManager.setNoiseParameters(undefined, undefined, undefined, { octaves: value });
+    });
+    
+    this.createSlider(section, 'Noise Lacunarity', 1.5, 3.5, this.gridManager.noiseLacunarity, 0.1, function(value) {
+        self.gridManager.setNoiseParameters(undefined, undefined, undefined, { lacunarity: value });
+    });
+    
+    this.createSlider(section, 'Noise Gain', 0.2, 0.8, this.gridManager.noiseGain, 0.05, function(value) {
+        self.gridManager.setNoiseParameters(undefined, undefined, undefined, { gain: value });
+    });
+    
+    this.createSlider(section, 'Noise Warp', 0, 4, this.gridManager.noiseWarp, 0.1, function(value) {
+        self.gridManager.setNoiseParameters(undefined, undefined, undefined, { warp: value });
+    });
+    
+    // Same seed gives the same terrain on every reload
+    this.createSlider(section, 'Noise Seed', 0, 9999, this.gridManager.noiseSeed, 1, function(value) {
+        self.gridManager.setNoiseParameters(undefined, undefined, undefined, { seed: value });
+    });
+    
     // Effector controls
     if (this.gridManager.effectors && this.gridManager.effectors.length > 0) {
         const playerEffector = this.gridManager.effectors.find(e => e.id === 'player');
@@ -354,12 +447,72 @@ UIController.prototype.createGridControls = function() {
         }
     }
     
+    // Spring physics - cubes ease toward their targets instead of snapping
+    this.createCheckbox(section, 'Spring Physics', this.gridManager.config.springEnabled, function(checked) {
+        self.gridManager.setSpringParameters({ enabled: checked });
+    });
+    
+    this.createSlider(section, 'Spring Stiffness', 10, 400, this.gridManager.config.springStiffness, 5, function(value) {
+        self.gridManager.setSpringParameters({ stiffness: value });
+    });
+    
+    this.createSlider(section, 'Spring Overshoot', 0, 0.6, this.gridManager.getSpringOvershoot(), 0.01, function(value) {
+        self.gridManager.setSpringParameters({ overshoot: value });
+    });
+    
+    // How long cubes take to settle once the player and effectors have moved away
+    this.createSlider(section, 'Relax Duration', 0, 3, this.gridManager.config.relaxDuration, 0.1, function(value) {
+        self.gridManager.config.relaxDuration = value;
+    });
+    
+    // Limit on the combined raise where effectors overlap
+    const capSelect = this.createDropdown(section, 'Cap Policy', [
+        { value: 'none', label: 'None' },
+        { value: 'clamp', label: 'Clamp' },
+        { value: 'soft', label: 'Soft (tanh)' }
+    ], function(value) {
+        // The grid starts uncapped (raiseCap 0) - a policy needs the cap the slider shows
+        self.gridManager.setCapPolicy(value, self.gridManager.config.raiseCap || 20);
+    });
+    capSelect.value = this.gridManager.config.capPolicy;
+    
+    this.createSlider(section, 'Raise Cap', 1, 60, this.gridManager.config.raiseCap || 20, 1, function(value) {
+        self.gridManager.setCapPolicy(self.gridManager.config.capPolicy, value);
+    });
+    
+    // Per-cube colour from a gradient ramp, following the cubes as they are solved
+    const colorModeSelect = this.createDropdown(section, 'Colour Source', [
+        { value: 'none', label: 'Off (cube colour)' },
+        { value: 'raise', label: 'Raise' },
+        { value: 'scale', label: 'Scale' },
+        { value: 'effector', label: 'Nearest effector tint' }
+    ], function(value) {
+        self.gridManager.setColorParameters({ mode: value });
+    });
+    colorModeSelect.value = this.gridManager.config.colorMode;
+    
+    const rampSelect = this.createDropdown(section, 'Colour Ramp',
+        Object.keys(GridColorRamp.PRESETS).map(name => ({ value: name, label: name.charAt(0).toUpperCase() + name.slice(1) })),
+        function(value) {
+            self.gridManager.setColorParameters({ ramp: value });
+        });
+    rampSelect.value = this.gridManager.colorRamp.name;
+    
+    this.createSlider(section, 'Colour Strength', 0, 1, this.gridManager.config.colorStrength, 0.05, function(value) {
+        self.gridManager.setColorParameters({ strength: value });
+    });
+    
+    this.createSlider(section, 'Colour Range', 1, 40, this.gridManager.config.colorRange, 1, function(value) {
+        self.gridManager.setColorParameters({ range: value });
+    });
+    
     // Reset button
     this.createButton(section, 'Reset Grid', function() {
         self.gridManager.setNoiseParameters(
             self.originalValues.grid.noiseAmplitude,
             self.originalValues.grid.noiseScale,
-            self.originalValues.grid.noiseSpeed
+            self.originalValues.grid.noiseSpeed,
+            self.originalValues.grid.noise
         );
         self.updateUIValues();
     });
@@ -384,27 +537,109 @@ UIController.prototype.createPerformanceControls = function() {
         self.gridManager.config.updateInterval = value;
     });
     
+    // Live readout of the time-sliced scheduler
+    const updateStats = document.createElement('div');
+    updateStats.style.margin = '5px 0';
+    updateStats.style.fontSize = '12px';
+    updateStats.style.color = '#aaa';
+    section.appendChild(updateStats);
+    
+    clearInterval(this._updateStatsTimer); // initUI runs again on updateUIValues
+    this._updateStatsTimer = setInterval(function() {
+        const stats = self.gridManager.getUpdateStats();
+        updateStats.textContent = `Cubes: ${stats.processed} processed, ${stats.skipped} skipped ` +
+                                  `(${stats.framesPerCycle} frames per cycle), ${stats.relaxing} relaxing. ` +
+                                  `Chunks by LOD: ${stats.chunksByLevel.map(count => count || 0).join(' / ')}`;
+    }, 500);
+    
+    // Distance LOD: far chunks merge 2x2, then 4x4 cubes into one, morphing in over a range
+    const lodDistances = this.gridManager.config.lodDistances;
+    this.createCheckbox(section, 'Distance LOD', this.gridManager.config.lodEnabled, function(checked) {
+        self.gridManager.setLODParameters({ enabled: checked });
+    });
+    
+    this.createSlider(section, 'LOD 2x2 Distance', 50, 1000, lodDistances[0], 10, function(value) {
+        self.gridManager.setLODParameters({ distances: [value, lodDistances[1]] });
+    });
+    
+    this.createSlider(section, 'LOD 4x4 Distance', 100, 2000, lodDistances[1], 10, function(value) {
+        self.gridManager.setLODParameters({ distances: [lodDistances[0], value] });
+    });
+    
+    this.createSlider(section, 'LOD Morph Range', 0.05, 0.9, this.gridManager.config.lodMorphRange, 0.05, function(value) {
+        self.gridManager.setLODParameters({ morphRange: value });
+    });
+    
+    // Streaming keeps a fixed window of chunks around the player instead of the whole grid
+    this.createCheckbox(section, 'Stream Grid Along Path', this.gridManager.config.streaming, function(checked) {
+        self.gridManager.setStreaming(checked);
+    });
+    
     // Add a slider for LOD factor
     this.createSlider(section, 'LOD Factor', 1, 10, this.gridManager.config.lodFactor || 1, 0.5, function(value) {
         // Store the new value
         self.gridManager.config.lodFactor = value;
         
-        // Schedule quadtree reinitialization for the next frame
+        // Schedule spatial index reinitialization for the next frame
         // This avoids freezing if user is actively dragging the slider
         if (!self._lodUpdateScheduled) {
             self._lodUpdateScheduled = true;
             requestAnimationFrame(function() {
-                self.gridManager.initQuadTree();
+                self.gridManager.initSpatialIndex();
                 self._lodUpdateScheduled = false;
             });
         }
     });
     
+    // Lattice answers queries straight from grid coordinates, the quadtree honours the LOD factor
+    const indexSelect = this.createDropdown(section, 'Spatial Index', [
+        { value: 'lattice', label: 'Lattice (grid cells)' },
+        { value: 'quadtree', label: 'QuadTree' }
+    ], function(value) {
+        self.gridManager.config.spatialIndex = value;
+        self.gridManager.initSpatialIndex();
+    });
+    indexSelect.value = this.gridManager.config.spatialIndex;
+    
+    // CPU updates only cubes near the player, GPU displaces the whole grid in the vertex shader
+    const displacementSelect = this.createDropdown(section, 'Displacement', [
+        { value: 'cpu', label: 'CPU (near player)' },
+        { value: 'gpu', label: 'GPU (whole grid)' }
+    ], function(value) {
+        self.gridManager.setDisplacementMode(value);
+    });
+    displacementSelect.value = this.gridManager.config.displacementMode;
+    
+    // Where cubes rest - switching rebuilds the grid on the new heights
+    const heightSelect = this.createDropdown(section, 'Base Height', [
+        { value: 'flat', label: 'Flat' },
+        { value: 'procedural', label: 'Procedural hills' },
+        { value: 'scene', label: 'Scene ground and roads' }
+    ], function(value) {
+        self.sceneController.setGridHeightMode(value);
+    });
+    heightSelect.value = this.sceneController.gridHeightMode;
+    
+    // Cells left out of the grid entirely - switching rebuilds the grid without them
+    const maskSelect = this.createDropdown(section, 'Grid Mask', [
+        { value: 'none', label: 'None' },
+        { value: 'roads', label: 'Carve around roads' },
+        { value: 'buildings', label: 'Carve around buildings' }
+    ], function(value) {
+        self.sceneController.setGridMaskMode(value);
+    });
+    maskSelect.value = this.sceneController.gridMaskMode;
+    
     // Add a visualization toggle for quadtree depth
     this.createCheckbox(section, 'Show QuadTree Depth', this.gridManager.config.showQuadTreeDepth, function(checked) {
         self.gridManager.toggleQuadTreeVisualization(checked);
     });
     
+    // Draw quadtree node boundaries, highlighting the nodes this frame's query circles reach
+    this.createCheckbox(section, 'Show QuadTree Nodes', this.gridManager.config.showQuadTreeOverlay, function(checked) {
+        self.gridManager.toggleQuadTreeOverlay(checked);
+    });
+    
     // Add a button to test color visualization directly
     this.createButton(section, 'Test Colors', function() {
         self.gridManager.testColorVisualization();